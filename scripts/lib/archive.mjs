@@ -0,0 +1,70 @@
+// Past events: archive.json keeps every event after it ends, so history survives the nightly sync.
+
+import fs from "node:fs/promises";
+
+// The booking link and booking state mean nothing once an event is over; without `url` the calendar has no link
+// to render for the card.
+const LIVE_ONLY = ["url", "soldOut", "spotsLeft"];
+
+function eventKey(e) {
+	return e.id || `${e.url}::${e.start}`;
+}
+
+function endYmd(e) {
+	return String(e.end || e.start || "").slice(0, 10);
+}
+
+export function hasEnded(e, todayYmd) {
+	const ymd = endYmd(e);
+	return Boolean(ymd) && ymd < todayYmd;
+}
+
+// null means the file is there but unreadable; the caller must not overwrite it.
+export async function loadArchive(file, { log = console } = {}) {
+	try {
+		const archive = JSON.parse(await fs.readFile(file, "utf8"));
+		if (Array.isArray(archive)) return archive;
+		log.warn(`Ignoring ${file}: expected an array.`);
+	} catch (err) {
+		if (err?.code === "ENOENT") return [];
+		log.warn(`Could not read ${file}: ${err?.message || err}`);
+	}
+	return null;
+}
+
+export function toArchived(e) {
+	const archived = { ...e, archived: true };
+	for (const key of LIVE_ONLY) delete archived[key];
+	return archived;
+}
+
+// Append-only: events already in the archive are never changed, new ones are added in start order.
+export function mergeArchive(archive, events, todayYmd) {
+	const byKey = new Map(archive.map((e) => [eventKey(e), e]));
+	let added = 0;
+	for (const e of events) {
+		if (!hasEnded(e, todayYmd) || byKey.has(eventKey(e))) continue;
+		byKey.set(eventKey(e), toArchived(e));
+		added++;
+	}
+	const merged = [...byKey.values()].sort((a, b) => String(a.start).localeCompare(String(b.start)));
+	return { archive: merged, added };
+}
+
+// Live events plus archived ones they don't replace, e.g. for the month shards.
+export function withArchive(events, archive) {
+	const live = new Set(events.map(eventKey));
+	return [...archive.filter((e) => !live.has(eventKey(e))), ...events].sort((a, b) =>
+		String(a.start).localeCompare(String(b.start))
+	);
+}
+
+// { "2025": 412, "2026": 130 }: archived events per year, for year-over-year comparisons.
+export function countByYear(archive) {
+	const counts = {};
+	for (const e of archive) {
+		const year = String(e.start || "").slice(0, 4);
+		if (/^\d{4}$/.test(year)) counts[year] = (counts[year] || 0) + 1;
+	}
+	return counts;
+}
@@ -0,0 +1,253 @@
+// Headless-browser fallbacks for client-rendered FareHarbor pages.
+
+async function loadPlaywright() {
+	try {
+		return await import("playwright");
+	} catch {
+		throw new Error(
+			"Playwright is not installed. Run `npm install` at repo root."
+		);
+	}
+}
+
+// One Chromium for the whole run, launched on first use and shared by every page.
+export function createBrowserSession({ load = loadPlaywright } = {}) {
+	let browser = null;
+	let contextPromise = null;
+
+	return {
+		get launched() {
+			return contextPromise !== null;
+		},
+
+		// A failed launch stays failed, so later items don't retry it.
+		context() {
+			contextPromise ??= (async () => {
+				const pw = await load();
+				browser = await pw.chromium.launch({ headless: true });
+				return await browser.newContext();
+			})();
+			return contextPromise;
+		},
+
+		async close() {
+			if (!contextPromise) return;
+			const context = await contextPromise.catch(() => null);
+			await context?.close().catch(() => {});
+			await browser?.close().catch(() => {});
+		},
+	};
+}
+
+async function openPage(context, signal) {
+	signal?.throwIfAborted();
+	const page = await context.newPage();
+	// Closing the page makes any pending Playwright call on it reject right away.
+	signal?.addEventListener("abort", () => page.close().catch(() => {}), { once: true });
+	return page;
+}
+
+export async function scrapeListingViaPlaywright(context, listingUrl, company, { signal } = {}) {
+	const page = await openPage(context, signal);
+	try {
+		await page.goto(listingUrl, { waitUntil: "domcontentloaded" });
+		await page.waitForTimeout(1500);
+		await page.waitForLoadState("networkidle").catch(() => {});
+
+		// Long listings load more items on scroll; keep going until the count stops growing.
+		let count = -1;
+		for (let round = 0; round < 20; round++) {
+			const next = await page.evaluate(() => {
+				window.scrollTo(0, document.body.scrollHeight);
+				return document.querySelectorAll('a[href*="/items/"]').length;
+			});
+			if (next === count) break;
+			count = next;
+			await page.waitForTimeout(750);
+		}
+
+		const abs = await page.evaluate((company) => {
+			const hrefs = Array.from(document.querySelectorAll('a[href*="/items/"]'))
+				.map((a) => a.getAttribute("href"))
+				.filter(Boolean);
+
+			const out = [];
+			for (const h of hrefs) {
+				try {
+					const u = new URL(h, "https://fareharbor.com");
+					if (!u.pathname.includes(`/embeds/book/${company}/items/`)) continue;
+					if (!/\/items\/\d+\/?/i.test(u.pathname)) continue;
+					out.push(u.toString());
+				} catch {
+					// skip bad link
+				}
+			}
+			return out;
+		}, company);
+
+		return [...new Set(abs)];
+	} finally {
+		await page.close().catch(() => {});
+	}
+}
+
+export async function scrapeItemViaPlaywright(context, itemUrl, { signal } = {}) {
+	const page = await openPage(context, signal);
+	try {
+		await page.goto(itemUrl, { waitUntil: "domcontentloaded" });
+		await page.waitForTimeout(1500);
+		await page.waitForLoadState("networkidle").catch(() => {});
+
+		// Wait until template placeholders resolve.
+		await page
+			.waitForFunction(() => {
+				const h1 = document.querySelector("h1");
+				const t = (h1?.textContent || "").trim();
+				return t && !/\[!\s*item\.name\s*!\]/i.test(t);
+			}, { timeout: 10_000 })
+			.catch(() => {});
+
+		const dom = await page.evaluate(() => {
+			const h1 = document.querySelector("h1");
+			const title = (h1?.textContent || document.title || "").trim();
+
+			const meta = (name, value) => {
+				const sel = `meta[${name}="${value}"]`;
+				return document.querySelector(sel)?.getAttribute("content") || null;
+			};
+
+			const isGenericFareharborThumb = (u) => {
+				const s = String(u || "");
+				return s.includes("marketing.fareharbor.com/wp-content/uploads/") || s.includes("fh-og");
+			};
+
+			const normalizeUrl = (u) => {
+				if (!u) return null;
+				try {
+					return new URL(u, window.location.href).toString();
+				} catch {
+					return null;
+				}
+			};
+
+			const metaThumb =
+				meta("property", "og:image") ||
+				meta("name", "og:image") ||
+				meta("name", "twitter:image") ||
+				meta("property", "twitter:image");
+
+			// JSON-LD first.
+			let jsonLdThumb = null;
+			for (const s of Array.from(document.querySelectorAll('script[type="application/ld+json"]')).slice(0, 8)) {
+				const txt = (s.textContent || "").trim();
+				if (!txt) continue;
+				try {
+					const data = JSON.parse(txt);
+					const objs = Array.isArray(data) ? data : [data];
+					for (const o of objs) {
+						if (!o || typeof o !== "object") continue;
+						const img = o.image || o.thumbnailUrl;
+						const pick = Array.isArray(img) ? img.find((x) => typeof x === "string") : img;
+						const norm = normalizeUrl(pick);
+						if (norm && !isGenericFareharborThumb(norm)) {
+							jsonLdThumb = norm;
+							break;
+						}
+					}
+					if (jsonLdThumb) break;
+				} catch {
+					// skip bad JSON-LD
+				}
+				if (jsonLdThumb) break;
+			}
+
+			// Try to find a better real-page thumbnail.
+			const candidates = [];
+			if (jsonLdThumb) candidates.push({ url: jsonLdThumb, score: 10_000_000 });
+			if (metaThumb) candidates.push({ url: normalizeUrl(metaThumb), score: 10 });
+
+			const imgEls = Array.from(document.querySelectorAll("img")).slice(0, 80);
+			for (const img of imgEls) {
+				const src = normalizeUrl(img.currentSrc || img.src || img.getAttribute("src"));
+				if (!src) continue;
+				const nw = Number(img.naturalWidth || 0);
+				const nh = Number(img.naturalHeight || 0);
+				const area = nw && nh ? nw * nh : 0;
+				const inHero = Boolean(img.closest(".fh-item__image,.item-image,.hero,.gallery,.carousel,.slider"));
+				candidates.push({ url: src, score: (area || 1) + (inHero ? 5_000_000 : 0) });
+			}
+
+			// Also check background images.
+			const bgEls = Array.from(
+				document.querySelectorAll('[style*="background"],.fh-item__image,.item-image,.hero,.gallery,.carousel,.slider')
+			).slice(0, 120);
+			for (const el of bgEls) {
+				const cs = window.getComputedStyle(el);
+				const bg = cs.backgroundImage || "";
+				if (!bg || bg === "none") continue;
+				const m = bg.match(/url\(\s*['\"]?([^'\")]+)['\"]?\s*\)/i);
+				if (!m) continue;
+				const src = normalizeUrl(m[1]);
+				if (!src) continue;
+				const r = el.getBoundingClientRect();
+				const area = Math.max(0, r.width) * Math.max(0, r.height);
+				const inHero = el.matches(".fh-item__image,.item-image,.hero") || Boolean(el.closest(".fh-item__image,.item-image,.hero"));
+				candidates.push({ url: src, score: (area || 1) + (inHero ? 5_000_000 : 0) });
+			}
+
+			const best = candidates
+				.filter((c) => c.url)
+				.filter((c) => !isGenericFareharborThumb(c.url))
+				.sort((a, b) => b.score - a.score)[0];
+
+			const thumbnail = best?.url || normalizeUrl(metaThumb);
+
+			const description = meta("property", "og:description") || meta("name", "description");
+
+			const bodyText = document.body?.innerText || "";
+			return { title, thumbnail, description, bodyText };
+		});
+
+		const availabilities = await page.evaluate(collectAvailabilityLinksInPage);
+		return { ...dom, availabilities };
+	} finally {
+		await page.close().catch(() => {});
+	}
+}
+
+export async function scrapeCalendarViaPlaywright(context, calendarUrl, { signal } = {}) {
+	const page = await openPage(context, signal);
+	try {
+		await page.goto(calendarUrl, { waitUntil: "domcontentloaded" });
+		await page.waitForTimeout(1500);
+		await page.waitForLoadState("networkidle").catch(() => {});
+		return await page.evaluate(collectAvailabilityLinksInPage);
+	} finally {
+		await page.close().catch(() => {});
+	}
+}
+
+// Runs in the page. Labels pull in the day cell's date when the link only shows a time.
+function collectAvailabilityLinksInPage() {
+	const out = [];
+	const seen = new Set();
+	for (const a of Array.from(document.querySelectorAll('a[href*="/availability/"]'))) {
+		const href = a.getAttribute("href") || "";
+		const m = href.match(/\/availability\/(\d+)\/book\//i);
+		if (!m || seen.has(m[1])) continue;
+		seen.add(m[1]);
+
+		const cell = a.closest("[data-date],td,li");
+		const parts = [
+			a.getAttribute("aria-label"),
+			a.getAttribute("title"),
+			a.textContent,
+			cell?.getAttribute("data-date"),
+			cell?.getAttribute("aria-label"),
+			/\b(?:sold-?out|is-full)\b/i.test(a.className || "") ? "Sold out" : null,
+		];
+		const dateLabel = parts.filter(Boolean).join(" ").replace(/\s+/g, " ").trim();
+		out.push({ availabilityId: m[1], availabilityUrl: href, dateLabel });
+	}
+	return out;
+}
@@ -0,0 +1,44 @@
+// Category assignment from categories.json.
+
+import fs from "node:fs/promises";
+
+import { itemIdFromFareharborUrl } from "./fareharbor.mjs";
+
+export async function loadCategoryConfig(file, { log = console } = {}) {
+	try {
+		const config = JSON.parse(await fs.readFile(file, "utf8"));
+		if (config && typeof config.categories === "object") return config;
+		log.warn(`Ignoring ${file}: no "categories" object.`);
+	} catch (err) {
+		if (err?.code !== "ENOENT") log.warn(`Could not read ${file}: ${err?.message || err}`);
+	}
+	return null;
+}
+
+// fallback is the source's default category, used before the file-wide default.
+export function categorizeEvent(e, config, { fallback = null } = {}) {
+	if (!config) return fallback;
+
+	// Explicit item mapping wins over keywords.
+	const itemId = itemIdFromFareharborUrl(e.url);
+	const mapped = itemId ? config.items?.[itemId] : null;
+	if (mapped && config.categories[mapped]) return mapped;
+
+	// Otherwise first category (in file order) with a keyword in the title/description.
+	const text = `${e.title || ""} ${e.description || ""}`;
+	for (const [id, c] of Object.entries(config.categories)) {
+		const hit = (c.keywords || []).some((k) => {
+			const escaped = String(k).replaceAll(/[.*+?^${}()|[\]\\]/g, "\\$&");
+			return new RegExp(`\\b${escaped}\\b`, "i").test(text);
+		});
+		if (hit) return id;
+	}
+	if (fallback && config.categories[fallback]) return fallback;
+	return config.categories[config.default] ? config.default : null;
+}
+
+export function withCategory(e, config, options) {
+	if (e.category) return e;
+	const category = categorizeEvent(e, config, options);
+	return category ? { ...e, category } : e;
+}
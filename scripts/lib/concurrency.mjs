@@ -0,0 +1,43 @@
+// Small async helpers: politeness delays, timeouts and a bounded worker pool.
+
+export function sleep(ms) {
+	return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export async function withTimeout(fn, ms, label) {
+	// fn gets an AbortSignal that fires when time runs out, so it can stop its own work.
+	const controller = new AbortController();
+	let timer;
+	const timeout = new Promise((_, reject) => {
+		timer = setTimeout(() => {
+			const err = new Error(`${label} timed out after ${ms} ms`);
+			err.name = "TimeoutError";
+			controller.abort(err);
+			reject(err);
+		}, ms);
+	});
+
+	try {
+		return await Promise.race([fn(controller.signal), timeout]);
+	} finally {
+		clearTimeout(timer);
+	}
+}
+
+export async function mapWithConcurrency(items, limit, fn, { delayMs = 0 } = {}) {
+	// Results keep input order; each worker pauses delayMs between its tasks.
+	const results = new Array(items.length);
+	let next = 0;
+
+	const worker = async () => {
+		while (next < items.length) {
+			const i = next++;
+			results[i] = await fn(items[i], i);
+			if (delayMs && next < items.length) await sleep(delayMs);
+		}
+	};
+
+	const workers = Math.max(1, Math.min(limit, items.length));
+	await Promise.all(Array.from({ length: workers }, worker));
+	return results;
+}
@@ -0,0 +1,119 @@
+// Structured data source: FareHarbor's partner External API (items, availabilities, customer types). It needs the
+// API keys FareHarbor issues to partners; fareharbor-embed.mjs reads the keyless JSON the public embed uses.
+//
+// An adapter turns one item URL into raw events, the same shape the HTML scraper returns:
+//   { name, itemEvents(itemUrl, { source, fromYmd, toYmd, signal, log }) -> Promise<event[]> }
+// The sync tries its adapters in order and falls back to the next one when an adapter throws.
+
+import { fareharborEventId, itemIdFromFareharborUrl } from "./fareharbor.mjs";
+import { httpError } from "./fetch.mjs";
+import { htmlToText, shortenText } from "./html.mjs";
+import { instantToIsoInZone } from "./time.mjs";
+
+export const DEFAULT_API_BASE_URL = "https://fareharbor.com/api/external/v1";
+
+export function bookingUrl(company, flow, itemId, availabilityId) {
+	const query = flow ? `?full-items=yes&flow=${encodeURIComponent(flow)}` : "?full-items=yes";
+	return `https://fareharbor.com/embeds/book/${company}/items/${itemId}/availability/${availabilityId}/book/${query}`;
+}
+
+function pricesFromRates(rates) {
+	// One entry per customer type; totals are in cents.
+	const byType = new Map();
+	for (const rate of rates || []) {
+		const proto = rate?.customer_prototype;
+		const total = Number(proto?.total ?? rate?.total);
+		if (!proto?.display_name || !Number.isFinite(total)) continue;
+		const amount = total / 100;
+		const prev = byType.get(proto.display_name);
+		byType.set(proto.display_name, {
+			type: proto.display_name,
+			min: prev ? Math.min(prev.min, amount) : amount,
+			max: prev ? Math.max(prev.max, amount) : amount,
+		});
+	}
+	return [...byType.values()];
+}
+
+export function eventsFromApi(item, availabilities, { company, flow, timeZone }) {
+	const description = htmlToText(item.headline || item.description || "");
+	const events = [];
+	for (const a of availabilities || []) {
+		const start = instantToIsoInZone(a.start_at, timeZone);
+		const end = instantToIsoInZone(a.end_at, timeZone);
+		if (!a?.pk || !start) continue;
+
+		// Calendar records from the embed carry no rates; the item's customer types still give "from" prices.
+		const rates = a.customer_type_rates?.length
+			? a.customer_type_rates
+			: (item.customer_prototypes || []).map((proto) => ({ customer_prototype: proto }));
+		const prices = pricesFromRates(rates);
+		const spotsLeft = Number.isInteger(a.capacity) ? Math.max(0, a.capacity) : undefined;
+		events.push({
+			id: fareharborEventId(item.pk, a.pk),
+			title: item.name,
+			start,
+			end: end || start,
+			url: bookingUrl(company, flow, item.pk, a.pk),
+			thumbnail: item.image_cdn_url || undefined,
+			description: description ? shortenText(description, 280) : undefined,
+			prices: prices.length ? prices : undefined,
+			soldOut: spotsLeft === 0 || undefined,
+			spotsLeft,
+		});
+	}
+	return events;
+}
+
+export function createFareharborApiAdapter({
+	baseUrl = DEFAULT_API_BASE_URL,
+	appKey = null,
+	userKey = null,
+	timeZone,
+	fetchImpl = fetch,
+} = {}) {
+	const headers = { accept: "application/json" };
+	if (appKey) headers["X-FareHarbor-API-App"] = appKey;
+	if (userKey) headers["X-FareHarbor-API-User"] = userKey;
+	const root = String(baseUrl).replace(/\/+$/, "");
+
+	async function getJson(pathname, { signal, log } = {}) {
+		const url = `${root}${pathname}`;
+		const res = await fetchImpl(url, { headers, signal, redirect: "follow", log });
+		if (!res.ok) throw httpError(res, url);
+		return await res.json();
+	}
+
+	// The items list covers the whole company, so fetch it once per company and share it.
+	const itemsByCompany = new Map();
+	function companyItems(company) {
+		if (!itemsByCompany.has(company)) {
+			// Not tied to one item's signal: other items are waiting on it too.
+			const pending = getJson(`/companies/${encodeURIComponent(company)}/items/`).then(
+				(body) => new Map((body?.items || []).map((item) => [String(item.pk), item]))
+			);
+			// A failed request shouldn't poison later items.
+			pending.catch(() => itemsByCompany.delete(company));
+			itemsByCompany.set(company, pending);
+		}
+		return itemsByCompany.get(company);
+	}
+
+	return {
+		name: "api",
+
+		async itemEvents(itemUrl, { source, fromYmd, toYmd, signal, log }) {
+			const itemId = itemIdFromFareharborUrl(itemUrl);
+			if (!itemId) throw new Error(`No item ID in ${itemUrl}`);
+
+			const item = (await companyItems(source.company)).get(itemId);
+			if (!item) throw new Error(`Item ${itemId} not in the ${source.company} API items list`);
+
+			const body = await getJson(
+				`/companies/${encodeURIComponent(source.company)}/items/${itemId}/availabilities/date-range/${fromYmd}/${toYmd}/`,
+				{ signal, log }
+			);
+			return eventsFromApi(item, body?.availabilities, { company: source.company, flow: source.flow, timeZone });
+		},
+	};
+}
@@ -0,0 +1,66 @@
+// Structured data source that needs no keys: the JSON the public booking embed loads for an item and its month
+// calendar (fareharbor.com/api/v1/companies/<company>/…). Same adapter shape as fareharbor-api.mjs, whose
+// eventsFromApi() turns the records into events.
+
+import { sleep } from "./concurrency.mjs";
+import { eventsFromApi } from "./fareharbor-api.mjs";
+import { itemIdFromFareharborUrl } from "./fareharbor.mjs";
+import { httpError, parseError } from "./fetch.mjs";
+import { monthsBetweenYmd } from "./time.mjs";
+
+export const DEFAULT_EMBED_API_BASE_URL = "https://fareharbor.com/api/v1";
+
+// { calendar: { weeks: [{ days: [{ date, availabilities: [...] }] }] } }: every availability in the month.
+export function calendarAvailabilities(body) {
+	return (body?.calendar?.weeks || []).flatMap((week) => week?.days || []).flatMap((day) => day?.availabilities || []);
+}
+
+export function createFareharborEmbedAdapter({
+	baseUrl = DEFAULT_EMBED_API_BASE_URL,
+	timeZone,
+	fetchImpl = fetch,
+	headers = {},
+	delayMs = 0,
+	wait = sleep,
+} = {}) {
+	const root = String(baseUrl).replace(/\/+$/, "");
+	const requestHeaders = { ...headers, accept: "application/json" };
+
+	async function getJson(pathname, { signal, log } = {}) {
+		const url = `${root}${pathname}`;
+		const res = await fetchImpl(url, { headers: requestHeaders, signal, redirect: "follow", log });
+		if (!res.ok) throw httpError(res, url);
+		return await res.json();
+	}
+
+	return {
+		name: "embed",
+
+		async itemEvents(itemUrl, { source, fromYmd, toYmd, signal, log }) {
+			const itemId = itemIdFromFareharborUrl(itemUrl);
+			if (!itemId) throw new Error(`No item ID in ${itemUrl}`);
+			const itemPath = `/companies/${encodeURIComponent(source.company)}/items/${itemId}`;
+			// The flow decides which availabilities and prices the embed offers, as on the booking page.
+			const query = `?allow_grouped=yes&bookable_only=no${source.flow ? `&flow=${encodeURIComponent(source.flow)}` : ""}`;
+
+			const item = (await getJson(`${itemPath}/${query}`, { signal, log }))?.item;
+			if (!item?.pk || !item?.name) throw parseError(`No item in the embed JSON for ${itemUrl}`);
+
+			const byPk = new Map();
+			for (const [i, { year, month }] of monthsBetweenYmd(fromYmd, toYmd).entries()) {
+				if (i) await wait(delayMs);
+				const mm = String(month).padStart(2, "0");
+				const body = await getJson(`${itemPath}/calendar/${year}/${mm}/${query}`, { signal, log });
+				// Calendar months are padded to whole weeks, so neighbouring months repeat a few days.
+				for (const a of calendarAvailabilities(body)) if (a?.pk && !byPk.has(a.pk)) byPk.set(a.pk, a);
+			}
+
+			const events = eventsFromApi(item, [...byPk.values()], {
+				company: source.company,
+				flow: source.flow,
+				timeZone,
+			});
+			return events.filter((e) => e.start.slice(0, 10) >= fromYmd && e.start.slice(0, 10) <= toYmd);
+		},
+	};
+}
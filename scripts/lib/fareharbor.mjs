@@ -0,0 +1,51 @@
+// FareHarbor URL and ID helpers.
+
+import { createHash } from "node:crypto";
+
+export function itemCalendarUrl(itemUrl, year, month) {
+	// Month grid lives at /items/<id>/calendar/YYYY/MM/ (query kept).
+	const u = new URL(itemUrl);
+	const m = u.pathname.match(/^(.*\/items\/\d+)\/?/i);
+	if (!m) return null;
+	u.pathname = `${m[1]}/calendar/${year}/${String(month).padStart(2, "0")}/`;
+	return u.toString();
+}
+
+export function availabilityIdFromUrl(url) {
+	const m = String(url || "").match(/\/availability\/(\d+)\/book\//i);
+	return m ? m[1] : null;
+}
+
+export function normalizeFareharborUrl(url) {
+	// Make URL absolute.
+	try {
+		return new URL(url, "https://fareharbor.com").toString();
+	} catch {
+		return url;
+	}
+}
+
+export function isFareharborEvent(e, company) {
+	try {
+		const u = new URL(e.url);
+		return u.hostname.includes("fareharbor.com") && u.pathname.includes(`/embeds/book/${company}/items/`);
+	} catch {
+		return false;
+	}
+}
+
+export function itemIdFromFareharborUrl(url) {
+	const m = String(url || "").match(/\/items\/(\d+)\b/i);
+	return m ? m[1] : null;
+}
+
+export function fareharborEventId(itemId, availabilityId) {
+	return `fh-${itemId}-${availabilityId}`;
+}
+
+export function withEventId(e) {
+	// Manual events have no FareHarbor IDs; hash what identifies them instead.
+	if (e.id) return e;
+	const hash = createHash("sha1").update(`${e.url || ""}::${e.start || ""}::${e.title || ""}`).digest("hex");
+	return { id: `ev-${hash.slice(0, 12)}`, ...e };
+}
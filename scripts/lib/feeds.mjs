@@ -0,0 +1,164 @@
+// Feeds of new and changed events for newsletter and social tools: Atom (feed.xml) and JSON Feed 1.1 (feed.json).
+//
+// Each event carries firstSeen (the run that first wrote it) and lastChanged (the last run that changed what a
+// reader would see); both carry over from the previous events.json.
+
+import { formatPriceFrom } from "./format.mjs";
+import { escapeHtml, eventPageName, formatEventWhen, siteLinks } from "./pages.mjs";
+
+// The date in every entry's tag: URI (RFC 4151), from when these feeds were first published. Feed readers use the
+// id to tell entries apart, so changing this makes every entry look new and reposts the whole feed. Never change it.
+const TAG_DATE = "2026";
+
+function tagUri(uidDomain, specific) {
+	return `tag:${uidDomain},${TAG_DATE}:${specific}`;
+}
+
+// What a subscriber would notice. Booking state is left out: a session selling out isn't news.
+function contentKey(e) {
+	return JSON.stringify([
+		e.title,
+		e.start,
+		e.end,
+		e.description || "",
+		e.thumbnailSource || e.thumbnail || "",
+		e.prices || [],
+		e.url || "",
+	]);
+}
+
+function isoSeconds(date) {
+	return date.toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+export function stampEvents(events, previous, { now = new Date() } = {}) {
+	const before = new Map(previous.filter((e) => e.id).map((e) => [e.id, e]));
+	const stamp = isoSeconds(now);
+	return events.map((e) => {
+		const prev = before.get(e.id);
+		const firstSeen = prev?.firstSeen || stamp;
+		const unchanged = prev && contentKey(prev) === contentKey(e);
+		return { ...e, firstSeen, lastChanged: (unchanged && prev.lastChanged) || stamp };
+	});
+}
+
+// Newest change first, limited to the last `days` days.
+export function recentEvents(events, { now = new Date(), days = 14, limit = 50 } = {}) {
+	const since = now.getTime() - days * 86_400_000;
+	return events
+		.filter((e) => e.lastChanged && Date.parse(e.lastChanged) >= since)
+		.sort((a, b) => b.lastChanged.localeCompare(a.lastChanged) || String(a.start).localeCompare(String(b.start)))
+		.slice(0, limit);
+}
+
+const IMAGE_TYPES = {
+	jpg: "image/jpeg",
+	jpeg: "image/jpeg",
+	png: "image/png",
+	gif: "image/gif",
+	webp: "image/webp",
+	avif: "image/avif",
+};
+
+// From the file extension, or the format=… parameter image CDNs use; JPEG when neither says.
+export function imageMimeType(url) {
+	try {
+		const u = new URL(url, "https://example.invalid/");
+		const ext = u.pathname.split(".").pop().toLowerCase();
+		return IMAGE_TYPES[ext] || IMAGE_TYPES[String(u.searchParams.get("format")).toLowerCase()] || "image/jpeg";
+	} catch {
+		return "image/jpeg";
+	}
+}
+
+// Shared by both formats, so the two feeds always say the same thing.
+function feedEntries(events, { site, pagesPath, uidDomain, timeZone }) {
+	const links = siteLinks(site, ".");
+	return events.map((e) => {
+		const when = formatEventWhen(e.start, e.end, timeZone);
+		const price = e.soldOut ? "Sold out" : formatPriceFrom(e.prices);
+		return {
+			id: tagUri(uidDomain, e.id),
+			title: e.title,
+			// The event's own page when the site address is known, else the booking page.
+			url: (pagesPath && links.absolute(`${pagesPath}/${eventPageName(e)}`)) || e.url || null,
+			bookingUrl: e.url || null,
+			summary: [when, price, e.description].filter(Boolean).join("\n\n"),
+			image: (e.thumbnail && links.absolute(e.thumbnail)) || e.thumbnailSource || null,
+			published: e.firstSeen,
+			updated: e.lastChanged,
+		};
+	});
+}
+
+// The newest change across all events: the feed only looks updated when something in it changed.
+function feedUpdated(events) {
+	return events.map((e) => e.lastChanged).filter(Boolean).sort().at(-1) || "1970-01-01T00:00:00Z";
+}
+
+// Both builders take every event: entries come from recentEvents(), the feed's own dates from all of them.
+export function buildJsonFeed(events, { site, now, days, limit, pagesPath = "pages", uidDomain, timeZone }) {
+	const recent = recentEvents(events, { now, days, limit });
+	const links = siteLinks(site, ".");
+	const feedUrl = links.absolute("feed.json");
+	const homeUrl = links.absolute("init.html");
+	return {
+		version: "https://jsonfeed.org/version/1.1",
+		title: site?.name ? `${site.name} events` : "Events",
+		...(homeUrl ? { home_page_url: homeUrl } : {}),
+		...(feedUrl ? { feed_url: feedUrl } : {}),
+		description: "Newly added and changed events.",
+		language: "en",
+		items: feedEntries(recent, { site, pagesPath, uidDomain, timeZone }).map((entry) => ({
+			id: entry.id,
+			...(entry.url ? { url: entry.url } : {}),
+			...(entry.bookingUrl && entry.bookingUrl !== entry.url ? { external_url: entry.bookingUrl } : {}),
+			title: entry.title,
+			content_text: entry.summary,
+			...(entry.image
+				? { image: entry.image, attachments: [{ url: entry.image, mime_type: imageMimeType(entry.image) }] }
+				: {}),
+			date_published: entry.published,
+			date_modified: entry.updated,
+		})),
+	};
+}
+
+export function buildAtomFeed(events, { site, now, days, limit, pagesPath = "pages", uidDomain, timeZone }) {
+	const recent = recentEvents(events, { now, days, limit });
+	const links = siteLinks(site, ".");
+	const x = escapeHtml;
+	const selfUrl = links.absolute("feed.xml");
+	const homeUrl = links.absolute("init.html");
+	const lines = [
+		`<?xml version="1.0" encoding="utf-8"?>`,
+		`<feed xmlns="http://www.w3.org/2005/Atom">`,
+		`  <id>${x(tagUri(uidDomain, "feed"))}</id>`,
+		`  <title>${x(site?.name ? `${site.name} events` : "Events")}</title>`,
+		`  <subtitle>Newly added and changed events.</subtitle>`,
+		`  <updated>${feedUpdated(events)}</updated>`,
+		...(site?.name ? [`  <author><name>${x(site.name)}</name></author>`] : []),
+		...(selfUrl ? [`  <link rel="self" type="application/atom+xml" href="${x(selfUrl)}" />`] : []),
+		...(homeUrl ? [`  <link rel="alternate" type="text/html" href="${x(homeUrl)}" />`] : []),
+	];
+	for (const entry of feedEntries(recent, { site, pagesPath, uidDomain, timeZone })) {
+		lines.push(
+			"  <entry>",
+			`    <id>${x(entry.id)}</id>`,
+			`    <title>${x(entry.title)}</title>`,
+			`    <published>${entry.published}</published>`,
+			`    <updated>${entry.updated}</updated>`,
+			...(entry.url ? [`    <link rel="alternate" type="text/html" href="${x(entry.url)}" />`] : []),
+			...(entry.bookingUrl && entry.bookingUrl !== entry.url
+				? [`    <link rel="related" type="text/html" href="${x(entry.bookingUrl)}" />`]
+				: []),
+			...(entry.image
+				? [`    <link rel="enclosure" type="${imageMimeType(entry.image)}" href="${x(entry.image)}" />`]
+				: []),
+			`    <summary type="text">${x(entry.summary)}</summary>`,
+			"  </entry>"
+		);
+	}
+	lines.push("</feed>");
+	return lines.join("\n") + "\n";
+}
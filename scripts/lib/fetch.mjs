@@ -0,0 +1,91 @@
+// HTTP with per-request timeouts and retries, plus the failure types an item can end with.
+
+import { sleep } from "./concurrency.mjs";
+
+// Worth another try: rate limits, timeouts and server errors. Anything else is returned as is.
+const RETRY_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+// Why an item produced nothing, for the run summary and the failure-rate limit.
+export const FAILURE_TYPES = ["blocked", "notFound", "parse", "timeout", "error"];
+
+export function httpError(res, url) {
+	const err = new Error(`HTTP ${res.status} for ${url}`);
+	err.name = "HttpError";
+	err.status = res.status;
+	return err;
+}
+
+export function parseError(message) {
+	const err = new Error(message);
+	err.name = "ParseError";
+	return err;
+}
+
+export function classifyFailure(err) {
+	if (err?.name === "TimeoutError") return "timeout";
+	if (err?.name === "ParseError" || err instanceof SyntaxError) return "parse";
+	if ([401, 403, 429].includes(err?.status)) return "blocked";
+	if ([404, 410].includes(err?.status)) return "notFound";
+	return "error";
+}
+
+// Retry-After is either seconds or an HTTP date; returns milliseconds, or null when absent or unreadable.
+export function parseRetryAfter(value, now = Date.now()) {
+	const s = String(value ?? "").trim();
+	if (!s) return null;
+	if (/^\d+$/.test(s)) return Number(s) * 1000;
+	const at = Date.parse(s);
+	return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+// Exponential backoff with "equal jitter": somewhere between half and all of base * 2^attempt.
+export function backoffDelay(attempt, { baseMs = 500, maxMs = 30_000, random = Math.random } = {}) {
+	const cap = Math.min(maxMs, baseMs * 2 ** attempt);
+	return cap / 2 + (random() * cap) / 2;
+}
+
+// A fetch() that gives each attempt timeoutMs and retries network errors and RETRY_STATUSES up to `retries`
+// times. The last response is returned even when it's an error status; callers decide what's fatal.
+// Pass `log` in a call's options to report its retries there (e.g. an item's child logger) instead of the default.
+export function createFetcher({
+	fetchImpl = fetch,
+	retries = 3,
+	timeoutMs = 30_000,
+	baseDelayMs = 500,
+	maxDelayMs = 30_000,
+	random = Math.random,
+	wait = sleep,
+	log = console,
+} = {}) {
+	return async function fetchWithRetry(url, { log: callLog = log, ...init } = {}) {
+		for (let attempt = 0; ; attempt++) {
+			const attemptSignal = AbortSignal.timeout(timeoutMs);
+			const signal = init.signal ? AbortSignal.any([init.signal, attemptSignal]) : attemptSignal;
+			let res = null;
+			let error = null;
+			try {
+				res = await fetchImpl(url, { ...init, signal });
+			} catch (err) {
+				// The caller gave up (item time limit); don't retry into a dead signal.
+				if (init.signal?.aborted) throw err;
+				error = err;
+			}
+			if (res && !RETRY_STATUSES.has(res.status)) return res;
+
+			let delay = backoffDelay(attempt, { baseMs: baseDelayMs, maxMs: maxDelayMs, random });
+			const retryAfter = res ? parseRetryAfter(res.headers.get("retry-after")) : null;
+			// A server asking for a longer pause than we'd ever wait gets its answer back now.
+			if (attempt >= retries || (retryAfter !== null && retryAfter > maxDelayMs)) {
+				if (res) return res;
+				throw error;
+			}
+			if (retryAfter !== null) delay = Math.max(delay, retryAfter);
+
+			await res?.body?.cancel().catch(() => {});
+			const reason = res ? `HTTP ${res.status}` : error?.message || error;
+			callLog.warn(`${reason} for ${url}; retry ${attempt + 1}/${retries} in ${Math.round(delay)} ms.`);
+			await wait(delay);
+			init.signal?.throwIfAborted();
+		}
+	};
+}
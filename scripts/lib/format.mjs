@@ -0,0 +1,15 @@
+// Price text shared by the sync's outputs (ICS, event pages, feeds) and the calendar page. init.html imports this
+// file as-is, so it must not import anything from Node.
+
+// "$15" or "$10.50" for the cheapest customer type; null without prices.
+export function formatLowestPrice(prices) {
+	const mins = (prices || []).map((p) => p.min).filter(Number.isFinite);
+	if (!mins.length) return null;
+	const low = Math.min(...mins);
+	return `$${Number.isInteger(low) ? low : low.toFixed(2)}`;
+}
+
+export function formatPriceFrom(prices) {
+	const low = formatLowestPrice(prices);
+	return low ? `From ${low}` : null;
+}
@@ -0,0 +1,282 @@
+// HTML parsing for FareHarbor embed pages (no network, no DOM).
+
+export function decodeHtmlEntities(str) {
+	return String(str)
+		.replaceAll(/&#x([0-9a-fA-F]+);/g, (_, hex) => {
+			try {
+				return String.fromCodePoint(parseInt(hex, 16));
+			} catch {
+				return _;
+			}
+		})
+		.replaceAll(/&#([0-9]+);/g, (_, dec) => {
+			try {
+				return String.fromCodePoint(parseInt(dec, 10));
+			} catch {
+				return _;
+			}
+		})
+		.replaceAll(/&amp;/g, "&")
+		.replaceAll(/&lt;/g, "<")
+		.replaceAll(/&gt;/g, ">")
+		.replaceAll(/&quot;/g, '"')
+		.replaceAll(/&#39;/g, "'")
+		.replaceAll(/&nbsp;/g, " ")
+		.replaceAll(/&ndash;/g, "–")
+		.replaceAll(/&mdash;/g, "—")
+		.replaceAll(/\s+/g, " ")
+		.trim();
+}
+
+export function htmlToText(html) {
+	// Visible-ish text: drop scripts/styles and tags, decode entities.
+	return decodeHtmlEntities(
+		String(html || "")
+			.replaceAll(/<(script|style)\b[^>]*>[\s\S]*?<\/\1>/gi, " ")
+			.replaceAll(/<[^>]+>/g, " ")
+	);
+}
+
+export function extractMetaContent(html, attrName, attrValue) {
+	const re = new RegExp(
+		`<meta[^>]+${attrName}=["']${attrValue}["'][^>]+content=["']([^"']+)["'][^>]*>`,
+		"i"
+	);
+	const m = html.match(re);
+	return m ? decodeHtmlEntities(m[1]) : null;
+}
+
+export function extractTitleFromHtml(html) {
+	// Try h1 first, then og:title, then title.
+	const h1 = html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
+	if (h1) return decodeHtmlEntities(h1[1].replaceAll(/<[^>]+>/g, " "));
+
+	const og = extractMetaContent(html, "property", "og:title") || extractMetaContent(html, "name", "og:title");
+	if (og) return og;
+
+	const t = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+	if (t) return decodeHtmlEntities(t[1]);
+
+	return null;
+}
+
+export function extractBestImageFromHtml(html, pageUrl) {
+	// JSON-LD usually has the real image.
+	for (const m of html.matchAll(/<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)) {
+		const txt = (m[1] || "").trim();
+		if (!txt) continue;
+		try {
+			const data = JSON.parse(txt);
+			const objs = Array.isArray(data) ? data : [data];
+			for (const o of objs) {
+				if (!o || typeof o !== "object") continue;
+				const img = o.image || o.thumbnailUrl;
+				const pick = Array.isArray(img) ? img.find((x) => typeof x === "string") : img;
+				if (!pick) continue;
+				try {
+					const abs = new URL(pick, pageUrl).toString();
+					if (!/marketing\.fareharbor\.com\/wp-content\/uploads\//i.test(abs) && !/fh-og/i.test(abs)) return abs;
+				} catch {
+					// skip bad URL
+				}
+			}
+		} catch {
+			// skip bad JSON-LD
+		}
+	}
+
+	const og =
+		extractMetaContent(html, "property", "og:image") ||
+		extractMetaContent(html, "name", "og:image") ||
+		extractMetaContent(html, "property", "twitter:image") ||
+		extractMetaContent(html, "name", "twitter:image");
+
+	const isGenericFareharborThumb = (u) => {
+		const s = String(u || "");
+		return /marketing\.fareharbor\.com\/wp-content\/uploads\//i.test(s) || /fh-og/i.test(s);
+	};
+
+	// Use og/twitter if it's not the generic icon.
+	if (og && !isGenericFareharborThumb(og)) {
+		try {
+			return new URL(og, pageUrl).toString();
+		} catch {
+			// skip bad URL
+		}
+	}
+
+	// Try common image patterns in page HTML.
+	const candidates = [];
+
+	for (const m of html.matchAll(/<img[^>]+src=["']([^"']+)["'][^>]*>/gi)) {
+		candidates.push(m[1]);
+	}
+	for (const m of html.matchAll(/background-image\s*:\s*url\(\s*['"]?([^'")]+)['"]?\s*\)/gi)) {
+		candidates.push(m[1]);
+	}
+	for (const m of html.matchAll(/url\(\s*['"]?([^'")]+\.(?:png|jpe?g|webp))['"]?\s*\)/gi)) {
+		candidates.push(m[1]);
+	}
+
+	for (const c of candidates) {
+		if (!c) continue;
+		if (isGenericFareharborThumb(c)) continue;
+		try {
+			const abs = new URL(c, pageUrl).toString();
+			return abs;
+		} catch {
+			// skip bad URL
+		}
+	}
+
+	// Last fallback: generic og image.
+	if (!og) return null;
+	try {
+		return new URL(og, pageUrl).toString();
+	} catch {
+		return null;
+	}
+}
+
+export function shortenText(str, maxLength) {
+	const text = decodeHtmlEntities(str);
+	if (text.length <= maxLength) return text;
+	const cut = text.slice(0, maxLength);
+	return cut.slice(0, cut.lastIndexOf(" ") > maxLength / 2 ? cut.lastIndexOf(" ") : maxLength).trim() + "…";
+}
+
+export function isGenericDescription(text) {
+	// FareHarbor's own boilerplate, not the item's blurb.
+	return /\bfareharbor\b/i.test(String(text || ""));
+}
+
+export function extractDescriptionFromHtml(html) {
+	const meta = [
+		extractMetaContent(html, "property", "og:description"),
+		extractMetaContent(html, "name", "og:description"),
+		extractMetaContent(html, "name", "description"),
+	].find((d) => d && !isGenericDescription(d));
+	if (meta) return shortenText(meta, 280);
+
+	for (const m of html.matchAll(/<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)) {
+		try {
+			const data = JSON.parse((m[1] || "").trim());
+			const objs = Array.isArray(data) ? data : [data];
+			const found = objs.find((o) => o && typeof o.description === "string" && !isGenericDescription(o.description));
+			if (found) return shortenText(found.description.replaceAll(/<[^>]+>/g, " "), 280);
+		} catch {
+			// skip bad JSON-LD
+		}
+	}
+
+	return null;
+}
+
+export function parsePricesForAnchor(html) {
+	// Looks like: Prices for <a ...>Saturday, January 31, 2026</a>
+	const m = html.match(
+		/Prices\s+for\s*<a[^>]+href=["']([^"']*\/availability\/\d+\/book\/[^"']*)["'][^>]*>([^<]+)<\/a>/i
+	);
+	if (!m) return null;
+	return { availabilityUrl: m[1], dateLabel: decodeHtmlEntities(m[2]) };
+}
+
+export function parsePricesFromText(text) {
+	// After "Prices for <date>": "Adult $15.00", "Child (3-12) $10.00 - $12.00", ...
+	const t = decodeHtmlEntities(String(text || "").replaceAll(/<[^>]+>/g, " "));
+	const i = t.search(/Prices\s+for\b/i);
+	if (i === -1) return [];
+	const block = t
+		.slice(i, i + 1500)
+		.replace(/^Prices\s+for\s+(?:\w+\s*,\s*)?[A-Za-z]+\s+\d{1,2},\s*\d{4}/i, "");
+
+	const out = [];
+	const seen = new Set();
+	const amountRe = /([A-Za-z][^$]{0,60}?)\s*\$\s*(\d{1,5}(?:\.\d{2})?)(?:\s*(?:-|–|—|to)\s*\$\s*(\d{1,5}(?:\.\d{2})?))?/g;
+	for (const m of block.matchAll(amountRe)) {
+		const type = m[1].replace(/[\s:–—-]+$/, "").trim();
+		if (!type || /\b(?:sub)?total\b|\btax(?:es)?\b|\bfees?\b/i.test(type)) continue;
+		if (seen.has(type.toLowerCase())) continue;
+		seen.add(type.toLowerCase());
+		const min = Number(m[2]);
+		const max = m[3] ? Number(m[3]) : min;
+		out.push({ type, min: Math.min(min, max), max: Math.max(min, max) });
+	}
+	return out;
+}
+
+export function parseAvailabilityState(label) {
+	// Calendar entries say things like "Sold out" or "5 spots left".
+	const t = String(label || "");
+	if (/\bsold\s*out\b|\bno\s+(?:spots|seats|spaces)\b/i.test(t)) return { soldOut: true, spotsLeft: 0 };
+	const m = t.match(/\b(\d{1,4})\s*(?:(?:spots?|seats?|tickets?|spaces?)\s*(?:left|remaining|available)|left|remaining)\b/i);
+	if (m) {
+		const spotsLeft = Number(m[1]);
+		return { soldOut: spotsLeft === 0, spotsLeft };
+	}
+	return { soldOut: false, spotsLeft: null };
+}
+
+export function parseAvailabilityAnchors(html) {
+	// Every availability link on the page, e.g. calendar day entries.
+	const out = [];
+	const seen = new Set();
+	for (const m of String(html || "").matchAll(
+		/<a\b([^>]*?)href=["']([^"']*\/availability\/(\d+)\/book\/[^"']*)["']([^>]*)>([\s\S]*?)<\/a>/gi
+	)) {
+		const [, before, href, availabilityId, after, inner] = m;
+		if (seen.has(availabilityId)) continue;
+		seen.add(availabilityId);
+
+		const attrs = `${before} ${after}`;
+		const aria = attrs.match(/aria-label=["']([^"']+)["']/i);
+		const soldOutClass = /class=["'][^"']*\b(?:sold-?out|is-full)\b/i.test(attrs) ? "Sold out" : null;
+		const label = decodeHtmlEntities(
+			[aria?.[1], inner.replaceAll(/<[^>]+>/g, " "), soldOutClass].filter(Boolean).join(" ")
+		);
+		out.push({ availabilityId, availabilityUrl: href, dateLabel: label });
+	}
+	return out;
+}
+
+export function extractItemUrlsFromItemsListing(html) {
+	const urls = new Set();
+	for (const m of html.matchAll(/https:\/\/fareharbor\.com\/embeds\/book\/[^\s"']+\/items\/\d+\/?[^"'\s<]*/gi)) {
+		urls.add(m[0]);
+	}
+	// Also handle relative links.
+	for (const m of html.matchAll(/href=["'](\/embeds\/book\/[\w-]+\/items\/\d+\/?[^"']*)["']/gi)) {
+		try {
+			urls.add(new URL(m[1], "https://fareharbor.com").toString());
+		} catch {
+			// skip bad link
+		}
+	}
+	return [...urls];
+}
+
+// Next page of a paginated items listing: a rel="next" link, else a link to page N+1 of the same listing.
+export function extractNextPageUrl(html, pageUrl) {
+	const s = String(html || "");
+	const base = new URL(pageUrl);
+	const hrefOf = (tag) => tag.match(/\bhref=["']([^"']+)["']/i)?.[1] || null;
+	const resolve = (href) => {
+		try {
+			return new URL(decodeHtmlEntities(href), base);
+		} catch {
+			return null;
+		}
+	};
+
+	for (const m of s.matchAll(/<(?:a|link)\b[^>]*\brel=["']next["'][^>]*>/gi)) {
+		const u = hrefOf(m[0]) && resolve(hrefOf(m[0]));
+		if (u && u.toString() !== base.toString()) return u.toString();
+	}
+
+	const current = Number(base.searchParams.get("page")) || 1;
+	for (const m of s.matchAll(/\bhref=["']([^"']*[?&](?:amp;)?page=\d+[^"']*)["']/gi)) {
+		const u = resolve(m[1]);
+		if (u?.pathname === base.pathname && Number(u.searchParams.get("page")) === current + 1) return u.toString();
+	}
+	return null;
+}
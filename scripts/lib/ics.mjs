@@ -0,0 +1,147 @@
+// iCalendar (RFC 5545) feed output.
+
+import { withEventId } from "./fareharbor.mjs";
+import { formatPriceFrom } from "./format.mjs";
+
+// America/New_York (US rules since 2007). Keyed by TZID for other zones later.
+const VTIMEZONES = {
+	"America/New_York": [
+		"BEGIN:VTIMEZONE",
+		"TZID:America/New_York",
+		"X-LIC-LOCATION:America/New_York",
+		"BEGIN:DAYLIGHT",
+		"TZOFFSETFROM:-0500",
+		"TZOFFSETTO:-0400",
+		"TZNAME:EDT",
+		"DTSTART:19700308T020000",
+		"RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU",
+		"END:DAYLIGHT",
+		"BEGIN:STANDARD",
+		"TZOFFSETFROM:-0400",
+		"TZOFFSETTO:-0500",
+		"TZNAME:EST",
+		"DTSTART:19701101T020000",
+		"RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU",
+		"END:STANDARD",
+		"END:VTIMEZONE",
+	],
+};
+
+export function escapeIcsText(str) {
+	return String(str)
+		.replaceAll("\\", "\\\\")
+		.replaceAll(/\r?\n/g, "\\n")
+		.replaceAll(";", "\\;")
+		.replaceAll(",", "\\,");
+}
+
+export function foldIcsLine(line) {
+	// RFC 5545: max 75 octets per line, continuation lines start with a space.
+	const out = [];
+	let current = "";
+	let bytes = 0;
+	for (const ch of line) {
+		const size = Buffer.byteLength(ch, "utf8");
+		const limit = out.length === 0 ? 75 : 74;
+		if (bytes + size > limit) {
+			out.push(current);
+			current = "";
+			bytes = 0;
+		}
+		current += ch;
+		bytes += size;
+	}
+	out.push(current);
+	return out.join("\r\n ");
+}
+
+function isoToIcsLocal(iso) {
+	// "2026-03-28T10:00:00-04:00" -> "20260328T100000" (wall time; offset dropped).
+	const m = String(iso || "").match(/^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?/);
+	if (!m) return null;
+	const [, y, mo, d, h = "00", mi = "00", sec = "00"] = m;
+	return `${y}${mo}${d}T${h}${mi}${sec}`;
+}
+
+function icsUtcStamp(date) {
+	return date.toISOString().replaceAll(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function parseIcsStamps(ics) {
+	// UID -> { body, stamp } so unchanged events keep their DTSTAMP between runs.
+	const out = new Map();
+	const unfolded = String(ics || "").replaceAll(/\r?\n[ \t]/g, "");
+	for (const m of unfolded.matchAll(/BEGIN:VEVENT\r?\n([\s\S]*?)END:VEVENT/g)) {
+		const lines = m[1].split(/\r?\n/).filter(Boolean);
+		const uid = lines.find((l) => l.startsWith("UID:"))?.slice(4);
+		const stamp = lines.find((l) => l.startsWith("DTSTAMP:"))?.slice(8);
+		if (!uid || !stamp) continue;
+		out.set(uid, { body: lines.filter((l) => !l.startsWith("DTSTAMP:")).join("\n"), stamp });
+	}
+	return out;
+}
+
+function buildIcsEvent(e, { timeZone, uidDomain, categories }) {
+	const hasZone = Boolean(VTIMEZONES[timeZone]);
+	const when = (prop, iso) => {
+		const local = isoToIcsLocal(iso);
+		if (!local) return null;
+		if (hasZone) return `${prop};TZID=${timeZone}:${local}`;
+		// No VTIMEZONE to point at: pin offset times to UTC, leave the rest floating.
+		return /(?:Z|[+-]\d{2}:\d{2})$/.test(String(iso)) ? `${prop}:${icsUtcStamp(new Date(iso))}` : `${prop}:${local}`;
+	};
+
+	const lines = [`UID:${withEventId(e).id}@${uidDomain}`];
+	lines.push(when("DTSTART", e.start));
+	if (e.end) lines.push(when("DTEND", e.end));
+	lines.push(`SUMMARY:${escapeIcsText(e.title || "Untitled Event")}`);
+	if (e.url) lines.push(`URL:${e.url}`);
+	const categoryLabel = categories?.[e.category]?.label;
+	if (categoryLabel) lines.push(`CATEGORIES:${escapeIcsText(categoryLabel)}`);
+	const details = [
+		e.description,
+		e.soldOut ? "Sold out" : formatPriceFrom(e.prices),
+		e.url ? `Book online: ${e.url}` : null,
+	].filter(Boolean);
+	if (details.length) lines.push(`DESCRIPTION:${escapeIcsText(details.join("\n\n"))}`);
+	// Local thumbnails are relative paths; calendars need the original absolute URL.
+	const image = [e.thumbnailSource, e.thumbnail].find((u) => /^https?:\/\//i.test(u || ""));
+	if (image) lines.push(`ATTACH:${image}`);
+	return lines.filter(Boolean);
+}
+
+export function buildIcsCalendar(
+	events,
+	{ timeZone, uidDomain, previousIcs = "", now = new Date(), categories = null, log = console }
+) {
+	const previous = parseIcsStamps(previousIcs);
+	const stamp = icsUtcStamp(now);
+
+	if (!VTIMEZONES[timeZone]) {
+		log.warn(`No VTIMEZONE for ${timeZone}; writing UTC times to the .ics feed.`);
+	}
+
+	const lines = [
+		"BEGIN:VCALENDAR",
+		"VERSION:2.0",
+		"PRODID:-//FloridaRAMA//Events Calendar//EN",
+		"CALSCALE:GREGORIAN",
+		"METHOD:PUBLISH",
+		"X-WR-CALNAME:FloridaRAMA Events",
+		`X-WR-TIMEZONE:${timeZone}`,
+		...(VTIMEZONES[timeZone] || []),
+	];
+
+	for (const e of events) {
+		if (!e.start) continue;
+		const body = buildIcsEvent(e, { timeZone, uidDomain, categories });
+		const uid = body[0].slice(4);
+		const prev = previous.get(uid);
+		// Only bump DTSTAMP when the event itself changed.
+		const eventStamp = prev && prev.body === body.join("\n") ? prev.stamp : stamp;
+		lines.push("BEGIN:VEVENT", body[0], `DTSTAMP:${eventStamp}`, ...body.slice(1), "END:VEVENT");
+	}
+
+	lines.push("END:VCALENDAR");
+	return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
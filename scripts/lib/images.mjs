@@ -0,0 +1,147 @@
+// Thumbnail download, resize and local hosting under images/.
+
+import { createHash } from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+import { mapWithConcurrency } from "./concurrency.mjs";
+import { httpError } from "./fetch.mjs";
+
+export const PLACEHOLDER_NAME = "placeholder.svg";
+const DEFAULT_PLACEHOLDER = new URL("../../images/placeholder.svg", import.meta.url);
+
+// Card and detail-panel sizes; wider sources are scaled down, narrower ones are never scaled up.
+const DEFAULT_WIDTHS = [320, 640];
+const DEFAULT_FORMATS = ["avif", "webp"];
+
+async function loadSharp() {
+	try {
+		return (await import("sharp")).default;
+	} catch {
+		throw new Error("sharp is not installed. Run `npm install` at repo root.");
+	}
+}
+
+export function contentHash(bytes) {
+	return createHash("sha256").update(bytes).digest("hex").slice(0, 12);
+}
+
+export function isRemoteUrl(url) {
+	return /^https?:\/\//i.test(String(url || ""));
+}
+
+function targetWidths(sourceWidth, widths) {
+	const fits = widths.filter((w) => !sourceWidth || w <= sourceWidth);
+	return fits.length ? fits : [sourceWidth || widths[0]];
+}
+
+export async function createImageProcessor({
+	dir,
+	publicPath = "images",
+	widths = DEFAULT_WIDTHS,
+	formats = DEFAULT_FORMATS,
+	fetchImpl = fetch,
+	load = loadSharp,
+} = {}) {
+	const sharp = await load();
+	await fs.mkdir(dir, { recursive: true });
+	// A custom images dir still needs the branded fallback.
+	await fs.copyFile(DEFAULT_PLACEHOLDER, path.join(dir, PLACEHOLDER_NAME), fs.constants.COPYFILE_EXCL).catch(() => {});
+	const publicUrl = (name) => `${publicPath}/${name}`;
+
+	async function writeVariant(bytes, name, width, format) {
+		const file = path.join(dir, name);
+		// Content-hashed names: an existing file is already the right image.
+		const exists = await fs.access(file).then(
+			() => true,
+			() => false
+		);
+		if (exists) return;
+		// Write then rename, so an interrupted run never leaves a half file under the final name.
+		const tmp = path.join(dir, `.${name}.tmp`);
+		await sharp(bytes).rotate().resize({ width, withoutEnlargement: true })[format]().toFile(tmp);
+		await fs.rename(tmp, file);
+	}
+
+	async function localize(url, { signal } = {}) {
+		const res = await fetchImpl(url, { redirect: "follow", signal });
+		if (!res.ok) throw httpError(res, url);
+		const bytes = Buffer.from(await res.arrayBuffer());
+
+		const { width: sourceWidth } = await sharp(bytes).metadata();
+		const hash = contentHash(bytes);
+		const sizes = targetWidths(sourceWidth, widths);
+
+		const thumbnailSrcset = {};
+		for (const format of formats) {
+			const entries = [];
+			for (const width of sizes) {
+				const name = `${hash}-${width}.${format}`;
+				await writeVariant(bytes, name, width, format);
+				entries.push(`${publicUrl(name)} ${width}w`);
+			}
+			thumbnailSrcset[format] = entries.join(", ");
+		}
+
+		// Plain src for anything that ignores srcset: the largest WebP (or whatever format comes last).
+		const fallbackFormat = formats.includes("webp") ? "webp" : formats.at(-1);
+		return {
+			thumbnail: publicUrl(`${hash}-${sizes.at(-1)}.${fallbackFormat}`),
+			thumbnailSrcset,
+			thumbnailSource: url,
+		};
+	}
+
+	// Same URL is shared by every session of an item, so download it once per run.
+	const results = new Map();
+	return {
+		placeholder: { thumbnail: publicUrl(PLACEHOLDER_NAME) },
+
+		process(url, options) {
+			if (!results.has(url)) results.set(url, localize(url, options));
+			return results.get(url);
+		},
+	};
+}
+
+// Swap each remote thumbnail for local variants; a failed download gets the placeholder.
+export async function localizeThumbnails(events, processor, { concurrency = 3, log = console } = {}) {
+	return await mapWithConcurrency(events, concurrency, async (e) => {
+		if (!isRemoteUrl(e.thumbnail)) return e;
+		let local;
+		try {
+			local = await processor.process(e.thumbnail);
+		} catch (err) {
+			log.warn(`Thumbnail failed for ${e.id} (${err?.message || err}); using placeholder.`);
+			// Keeps the original URL, so a passing download error doesn't count as a change to the event.
+			local = { ...processor.placeholder, thumbnailSource: e.thumbnail };
+		}
+		const { thumbnail, thumbnailSrcset, thumbnailSource, ...rest } = e;
+		return { ...rest, ...local };
+	});
+}
+
+export function referencedImageNames(events, publicPath = "images") {
+	const names = new Set([PLACEHOLDER_NAME]);
+	const prefix = `${publicPath}/`;
+	for (const e of events) {
+		const fromSrcset = Object.values(e.thumbnailSrcset || {}).flatMap((set) =>
+			set.split(",").map((candidate) => candidate.trim().split(" ")[0])
+		);
+		for (const p of [e.thumbnail, ...fromSrcset]) {
+			if (typeof p === "string" && p.startsWith(prefix)) names.add(p.slice(prefix.length));
+		}
+	}
+	return names;
+}
+
+// Drop variants no event points at any more.
+export async function pruneImages(dir, keepNames) {
+	let removed = 0;
+	for (const name of await fs.readdir(dir).catch(() => [])) {
+		if (keepNames.has(name) || name.startsWith(".")) continue;
+		await fs.rm(path.join(dir, name));
+		removed++;
+	}
+	return removed;
+}
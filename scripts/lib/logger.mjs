@@ -0,0 +1,54 @@
+// Leveled logger for the sync: plain lines for people, or one JSON object per line for log tools.
+//
+// Every method takes a message and optional fields: log.info("Fetched item", { durationMs: 812 }).
+// Text mode prints the message (fields are for JSON); child() adds fields, and a "tag" field prefixes text lines.
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+export const LOG_FORMATS = ["text", "json"];
+
+// Warnings kept for the metrics file; the count keeps going past this.
+const WARNING_LIMIT = 50;
+
+export function createLogger({
+	format = "text",
+	level = "info",
+	now = () => new Date(),
+	write = (stream, line) => (stream === "stderr" ? process.stderr : process.stdout).write(line + "\n"),
+} = {}) {
+	if (!LOG_FORMATS.includes(format)) throw new Error(`Unknown log format "${format}" (expected text or json).`);
+	if (!LOG_LEVELS.includes(level)) throw new Error(`Unknown log level "${level}" (expected ${LOG_LEVELS.join(", ")}).`);
+	const minLevel = LOG_LEVELS.indexOf(level);
+	// Shared by every child, so warnings from item workers land in the same list.
+	const warnings = { count: 0, messages: [] };
+
+	function make(bound) {
+		const emit = (lvl, msg, fields) => {
+			const all = { ...bound, ...fields };
+			if (lvl === "warn") {
+				warnings.count++;
+				if (warnings.messages.length < WARNING_LIMIT) {
+					warnings.messages.push(all.tag ? `${all.tag} ${msg}` : String(msg));
+				}
+			}
+			if (LOG_LEVELS.indexOf(lvl) < minLevel) return;
+
+			const stream = lvl === "warn" || lvl === "error" ? "stderr" : "stdout";
+			if (format === "json") {
+				write(stream, JSON.stringify({ time: now().toISOString(), level: lvl, msg: String(msg), ...all }));
+			} else {
+				write(stream, all.tag ? `${all.tag} ${msg}` : String(msg));
+			}
+		};
+
+		return {
+			debug: (msg, fields) => emit("debug", msg, fields),
+			info: (msg, fields) => emit("info", msg, fields),
+			warn: (msg, fields) => emit("warn", msg, fields),
+			error: (msg, fields) => emit("error", msg, fields),
+			child: (fields) => make({ ...bound, ...fields }),
+			warnings,
+		};
+	}
+
+	return make({});
+}
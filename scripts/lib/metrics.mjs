@@ -0,0 +1,74 @@
+// Run metrics written to sync-metrics.json and committed, so scraper health can be charted from git history.
+
+const SLOWEST_LIMIT = 5;
+
+export function percentile(values, p) {
+	if (!values.length) return null;
+	const sorted = [...values].sort((a, b) => a - b);
+	const i = Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1));
+	return sorted[i];
+}
+
+// itemRuns: one { itemUrl, durationMs, events, adapter, usedBrowser, fromCache, failure } per scraped item.
+export function buildSyncMetrics({
+	startedAt,
+	finishedAt = new Date(),
+	outcome,
+	dataSources,
+	listing,
+	itemRuns,
+	events,
+	report,
+	timings,
+	warnings,
+}) {
+	const durations = itemRuns.map((r) => r.durationMs);
+	const failures = {};
+	for (const r of itemRuns) if (r.failure) failures[r.failure] = (failures[r.failure] || 0) + 1;
+	const round = (ms) => (ms === null ? null : Math.round(ms));
+
+	return {
+		generatedAt: finishedAt.toISOString(),
+		outcome,
+		durationMs: finishedAt.getTime() - startedAt.getTime(),
+		dataSources,
+		items: {
+			discovered: listing.discovered,
+			hidden: listing.hidden,
+			scraped: itemRuns.length,
+			parsed: itemRuns.filter((r) => !r.failure).length,
+			fromCache: itemRuns.filter((r) => r.fromCache).length,
+			failed: itemRuns.filter((r) => r.failure).length,
+			failures,
+		},
+		fallbacks: {
+			listingBrowser: listing.browserSources,
+			listingFromExisting: listing.existingSources,
+			itemBrowser: itemRuns.filter((r) => r.usedBrowser).length,
+			// Items the first data source couldn't handle.
+			dataSource: itemRuns.filter((r) => r.adapter && r.adapter !== dataSources[0]).length,
+			timeFallbackEvents: events.timeFallback,
+		},
+		events: {
+			scraped: events.scraped,
+			written: events.written,
+			added: report?.totals.added ?? null,
+			removed: report?.totals.removed ?? null,
+		},
+		timings: {
+			...Object.fromEntries(Object.entries(timings).map(([k, v]) => [k, round(v)])),
+			itemP50Ms: round(percentile(durations, 50)),
+			itemP95Ms: round(percentile(durations, 95)),
+			itemMaxMs: round(durations.length ? Math.max(...durations) : null),
+			slowest: [...itemRuns]
+				.sort((a, b) => b.durationMs - a.durationMs)
+				.slice(0, SLOWEST_LIMIT)
+				.map((r) => ({ itemUrl: r.itemUrl, durationMs: round(r.durationMs) })),
+			// Every item in URL order, so one item's times can be followed run to run.
+			perItem: [...itemRuns]
+				.sort((a, b) => a.itemUrl.localeCompare(b.itemUrl))
+				.map((r) => ({ itemUrl: r.itemUrl, durationMs: round(r.durationMs), usedBrowser: r.usedBrowser })),
+		},
+		warnings,
+	};
+}
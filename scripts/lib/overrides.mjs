@@ -0,0 +1,77 @@
+// Manual events and corrections from overrides.json.
+
+import fs from "node:fs/promises";
+
+import { availabilityIdFromUrl, itemIdFromFareharborUrl, withEventId } from "./fareharbor.mjs";
+import { parseEventTimeRange, parseStartTimeAndDuration, timeRangeToIsoPair } from "./time.mjs";
+
+// Fields a patch may replace; anything else in a patch is ignored.
+const PATCHABLE = ["title", "thumbnail", "description", "category", "start", "end"];
+
+export async function loadOverrides(file, { log = console } = {}) {
+	try {
+		const overrides = JSON.parse(await fs.readFile(file, "utf8"));
+		if (overrides && typeof overrides === "object" && !Array.isArray(overrides)) return overrides;
+		log.warn(`Ignoring ${file}: expected an object.`);
+	} catch (err) {
+		if (err?.code !== "ENOENT") log.warn(`Could not read ${file}: ${err?.message || err}`);
+	}
+	return null;
+}
+
+export function isHiddenItem(itemUrl, overrides) {
+	const itemId = itemIdFromFareharborUrl(itemUrl);
+	return Boolean(itemId) && (overrides?.hiddenItems || []).map(String).includes(itemId);
+}
+
+function applyPatch(e, patch, { timeZone, log }) {
+	if (!patch) return e;
+	const next = { ...e };
+	for (const key of PATCHABLE) {
+		if (patch[key] !== undefined) next[key] = patch[key];
+	}
+	// "time" keeps the date and swaps the hours, e.g. "10am - 12pm" or "6:30 PM (2 hours)".
+	if (patch.time) {
+		const tr = parseEventTimeRange(patch.time) || parseStartTimeAndDuration(patch.time);
+		if (tr) {
+			const pair = timeRangeToIsoPair(String(e.start).slice(0, 10), tr, timeZone);
+			next.start = pair.start;
+			next.end = pair.end;
+			delete next.timeFallback;
+		} else {
+			log.warn(`Ignoring override time "${patch.time}": no time range found.`);
+		}
+	}
+	if (patch.start || patch.end) delete next.timeFallback;
+	return next;
+}
+
+// Scraped events minus hidden ones, with item patches first and availability patches on top.
+export function applyOverrides(events, overrides, { timeZone, log = console }) {
+	if (!overrides) return events;
+	const out = [];
+	for (const e of events) {
+		const itemId = itemIdFromFareharborUrl(e.url);
+		const availabilityId = availabilityIdFromUrl(e.url);
+		if (isHiddenItem(e.url, overrides)) continue;
+
+		const availabilityPatch = availabilityId ? overrides.availabilities?.[availabilityId] : null;
+		if (availabilityPatch?.hidden) continue;
+
+		const itemPatch = itemId ? overrides.items?.[itemId] : null;
+		out.push(applyPatch(applyPatch(e, itemPatch, { timeZone, log }), availabilityPatch, { timeZone, log }));
+	}
+	return out;
+}
+
+export function manualEvents(overrides, { log = console } = {}) {
+	const out = [];
+	for (const e of overrides?.events || []) {
+		if (!e?.title || !e?.start) {
+			log.warn(`Skipping manual event without title/start: ${JSON.stringify(e)}`);
+			continue;
+		}
+		out.push({ ...withEventId(e), source: "manual" });
+	}
+	return out;
+}
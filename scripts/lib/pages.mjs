@@ -0,0 +1,246 @@
+// Static HTML pages for search engines and link previews: one per upcoming event plus a list of them all.
+// Each carries schema.org Event JSON-LD and Open Graph tags; the calendar itself is client-rendered.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+
+import { formatPriceFrom } from "./format.mjs";
+
+export const PAGES_INDEX_NAME = "index.html";
+
+// Few seats left shows as LimitedAvailability, like the "Only 3 left" badge.
+const LOW_SPOTS = 5;
+
+export async function loadSiteConfig(file, { log = console } = {}) {
+	try {
+		const site = JSON.parse(await fs.readFile(file, "utf8"));
+		if (site && typeof site === "object" && !Array.isArray(site)) return site;
+		log.warn(`Ignoring ${file}: expected an object.`);
+	} catch (err) {
+		if (err?.code !== "ENOENT") log.warn(`Could not read ${file}: ${err?.message || err}`);
+	}
+	return null;
+}
+
+export function escapeHtml(str) {
+	return String(str ?? "")
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;")
+		.replace(/'/g, "&#39;");
+}
+
+// JSON inside <script> must not be able to close the tag.
+function jsonForScript(value) {
+	return JSON.stringify(value, null, 2).replace(/</g, "\\u003c");
+}
+
+export function eventPageName(e) {
+	return `${String(e.id).replace(/[^A-Za-z0-9_-]+/g, "-")}.html`;
+}
+
+// "Saturday, March 28, 2026 · 10:00 AM – 8:00 PM", the same wording as the calendar's detail panel.
+export function formatEventWhen(start, end, timeZone) {
+	const day = new Intl.DateTimeFormat("en-US", {
+		timeZone,
+		weekday: "long",
+		month: "long",
+		day: "numeric",
+		year: "numeric",
+	});
+	const time = new Intl.DateTimeFormat("en-US", { timeZone, hour: "numeric", minute: "2-digit" });
+	const s = new Date(start);
+	if (!end) return `${day.format(s)} · ${time.format(s)}`;
+	const e = new Date(end);
+	if (day.format(s) === day.format(e)) return `${day.format(s)} · ${time.format(s)} – ${time.format(e)}`;
+	return `${day.format(s)} ${time.format(s)} – ${day.format(e)} ${time.format(e)}`;
+}
+
+// Links between the generated files. Paths in events.json are relative to the site root; pages live in publicPath.
+export function siteLinks(site, publicPath) {
+	const base = site?.url ? new URL(site.url.endsWith("/") ? site.url : `${site.url}/`) : null;
+	const isRemote = (p) => /^https?:\/\//.test(p);
+	return {
+		// From a page to anything under the site root.
+		relative: (p) => (isRemote(p) ? p : path.posix.relative(publicPath, p) || "."),
+		// Crawlers and link previews want absolute URLs; null when site.url isn't set.
+		absolute: (p) => (isRemote(p) ? p : base ? new URL(p, base).href : null),
+	};
+}
+
+// The domain ICS UIDs and feed tag: URIs are minted under: site.domain, else the host of site.url. It has to be
+// one the site owner controls, and it must not change once subscribers have the IDs. Null when neither is set.
+export function siteDomain(site) {
+	if (site?.domain) return String(site.domain).toLowerCase();
+	try {
+		return site?.url ? new URL(site.url).hostname : null;
+	} catch {
+		return null;
+	}
+}
+
+function compact(obj) {
+	return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined && v !== null && v !== ""));
+}
+
+function place(site) {
+	const location = site?.location || {};
+	const address = compact({ "@type": "PostalAddress", ...location.address });
+	return compact({
+		"@type": "Place",
+		name: location.name || site?.name,
+		address: Object.keys(address).length > 1 ? address : null,
+	});
+}
+
+function offers(e, currency) {
+	const availability = e.soldOut
+		? "https://schema.org/SoldOut"
+		: Number.isFinite(e.spotsLeft) && e.spotsLeft <= LOW_SPOTS
+			? "https://schema.org/LimitedAvailability"
+			: "https://schema.org/InStock";
+	const offer = { "@type": "Offer", url: e.url, priceCurrency: currency, availability };
+	if (!e.prices?.length) return e.url ? [offer] : [];
+	return e.prices.map((p) => ({ ...offer, name: p.type, price: p.min }));
+}
+
+// The fields Google reads for event rich results: https://developers.google.com/search/docs/appearance/structured-data/event
+export function buildEventJsonLd(e, { site, pageUrl, imageUrl }) {
+	return compact({
+		"@context": "https://schema.org",
+		"@type": "Event",
+		name: e.title,
+		startDate: e.start,
+		endDate: e.end,
+		eventStatus: "https://schema.org/EventScheduled",
+		eventAttendanceMode: "https://schema.org/OfflineEventAttendanceMode",
+		location: place(site),
+		image: imageUrl ? [imageUrl] : null,
+		description: e.description,
+		url: pageUrl,
+		offers: offers(e, site?.currency || "USD"),
+		organizer: site?.name ? compact({ "@type": "Organization", name: site.name, url: site.url }) : null,
+	});
+}
+
+const STYLE = `
+    body { margin: 0; font-family: "Baloo 2", system-ui, sans-serif; color: #222; background: #fffdf7; line-height: 1.5; }
+    main { max-width: 720px; margin: 0 auto; padding: 24px 16px 48px; }
+    img { display: block; width: 100%; height: auto; border-radius: 12px; }
+    h1 { margin: 16px 0 4px; line-height: 1.2; }
+    .when { margin: 0 0 12px; font-weight: 600; }
+    .book { display: inline-block; padding: 10px 18px; border-radius: 999px; background: #ef779f; color: #222; font-weight: 700; text-decoration: none; }
+    .events { list-style: none; padding: 0; }
+    .events li { padding: 12px 0; border-bottom: 1px solid #eee; }
+    .events a { font-weight: 700; color: #222; }
+    nav { margin-top: 32px; }
+`;
+
+function renderPage({ title, description, canonical, image, jsonLd, body, siteName }) {
+	const meta = [
+		`<meta property="og:type" content="website" />`,
+		`<meta property="og:title" content="${escapeHtml(title)}" />`,
+		description ? `<meta name="description" content="${escapeHtml(description)}" />` : "",
+		description ? `<meta property="og:description" content="${escapeHtml(description)}" />` : "",
+		siteName ? `<meta property="og:site_name" content="${escapeHtml(siteName)}" />` : "",
+		canonical ? `<meta property="og:url" content="${escapeHtml(canonical)}" />` : "",
+		canonical ? `<link rel="canonical" href="${escapeHtml(canonical)}" />` : "",
+		image ? `<meta property="og:image" content="${escapeHtml(image)}" />` : "",
+		`<meta name="twitter:card" content="${image ? "summary_large_image" : "summary"}" />`,
+	].filter(Boolean);
+
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>${escapeHtml(title)}</title>
+  ${meta.join("\n  ")}
+  ${jsonLd ? `<script type="application/ld+json">\n${jsonForScript(jsonLd)}\n  </script>` : ""}
+  <style>${STYLE}  </style>
+</head>
+<body>
+  <main>
+${body}
+  </main>
+</body>
+</html>
+`;
+}
+
+function summary(e) {
+	const text = String(e.description || "").replace(/\s+/g, " ").trim();
+	return text.length > 200 ? text.slice(0, 199).trimEnd() + "…" : text;
+}
+
+export function buildEventPage(e, { site, publicPath = "pages", timeZone }) {
+	const links = siteLinks(site, publicPath);
+	const canonical = links.absolute(`${publicPath}/${eventPageName(e)}`);
+	// thumbnailSource is the original remote image, usable even without site.url.
+	const imageUrl = (e.thumbnail && links.absolute(e.thumbnail)) || e.thumbnailSource || null;
+	const when = formatEventWhen(e.start, e.end, timeZone);
+	const price = e.soldOut ? "Sold out" : formatPriceFrom(e.prices);
+
+	const body = [
+		e.thumbnail ? `    <img src="${escapeHtml(links.relative(e.thumbnail))}" alt="" />` : "",
+		`    <h1>${escapeHtml(e.title)}</h1>`,
+		`    <p class="when">${escapeHtml(when)}</p>`,
+		price ? `    <p>${escapeHtml(price)}</p>` : "",
+		e.description ? `    <p>${escapeHtml(e.description)}</p>` : "",
+		e.url && !e.soldOut ? `    <p><a class="book" href="${escapeHtml(e.url)}">Book now</a></p>` : "",
+		`    <nav><a href="${PAGES_INDEX_NAME}">All upcoming events</a> · ` +
+			`<a href="${escapeHtml(links.relative("init.html"))}">Calendar</a></nav>`,
+	].filter(Boolean);
+
+	return renderPage({
+		title: site?.name ? `${e.title} · ${site.name}` : e.title,
+		description: summary(e) || when,
+		canonical,
+		image: imageUrl,
+		jsonLd: buildEventJsonLd(e, { site, pageUrl: canonical, imageUrl }),
+		body: body.join("\n"),
+		siteName: site?.name,
+	});
+}
+
+export function buildEventListPage(events, { site, publicPath = "pages", timeZone }) {
+	const links = siteLinks(site, publicPath);
+	const title = site?.name ? `Upcoming events · ${site.name}` : "Upcoming events";
+	const items = events.map(
+		(e) =>
+			`      <li><a href="${escapeHtml(eventPageName(e))}">${escapeHtml(e.title)}</a><br />` +
+			`${escapeHtml(formatEventWhen(e.start, e.end, timeZone))}</li>`
+	);
+	const body = [
+		`    <h1>${escapeHtml(title)}</h1>`,
+		items.length ? `    <ul class="events">\n${items.join("\n")}\n    </ul>` : "    <p>No upcoming events right now.</p>",
+		`    <nav><a href="${escapeHtml(links.relative("init.html"))}">Calendar</a></nav>`,
+	];
+	return renderPage({
+		title,
+		description: `${events.length} upcoming event${events.length === 1 ? "" : "s"}.`,
+		canonical: links.absolute(`${publicPath}/${PAGES_INDEX_NAME}`),
+		image: null,
+		jsonLd: null,
+		body: body.join("\n"),
+		siteName: site?.name,
+	});
+}
+
+// Rewrites dir to hold a page per event plus the list; unchanged pages keep their file. Returns the page count.
+export async function writeEventPages(dir, events, { site, publicPath = "pages", timeZone }) {
+	const pages = new Map([[PAGES_INDEX_NAME, buildEventListPage(events, { site, publicPath, timeZone })]]);
+	for (const e of events) pages.set(eventPageName(e), buildEventPage(e, { site, publicPath, timeZone }));
+
+	await fs.mkdir(dir, { recursive: true });
+	for (const [name, html] of pages) {
+		const file = path.join(dir, name);
+		const current = await fs.readFile(file, "utf8").catch(() => null);
+		if (current !== html) await fs.writeFile(file, html, "utf8");
+	}
+	for (const name of await fs.readdir(dir)) {
+		if (name.endsWith(".html") && !pages.has(name)) await fs.rm(path.join(dir, name));
+	}
+	return pages.size - 1;
+}
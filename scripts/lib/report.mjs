@@ -0,0 +1,169 @@
+// Run-to-run change report: what the sync added, removed or moved.
+
+const LIST_LIMIT = 50;
+
+const FAILURE_LABELS = {
+	blocked: "blocked",
+	notFound: "not found",
+	parse: "parse failure",
+	timeout: "timeout",
+	error: "other error",
+};
+
+function eventKey(e) {
+	return e?.id || `${e?.url}::${e?.start}`;
+}
+
+function summarize(e) {
+	return { id: eventKey(e), title: e.title, start: e.start, end: e.end, url: e.url };
+}
+
+// Previous events that are gone because they ended before todayYmd are only counted, not listed as removed.
+export function diffEvents(previous, next, { todayYmd = null } = {}) {
+	const before = new Map((previous || []).map((e) => [eventKey(e), e]));
+	const after = new Map((next || []).map((e) => [eventKey(e), e]));
+
+	const added = [];
+	const removed = [];
+	const rescheduled = [];
+	const retitled = [];
+	let unchanged = 0;
+	let ended = 0;
+
+	for (const [key, e] of after) {
+		const old = before.get(key);
+		if (!old) {
+			added.push(summarize(e));
+			continue;
+		}
+		// One event can be both moved and renamed; it shows up in both lists.
+		const moved = old.start !== e.start || old.end !== e.end;
+		const renamed = old.title !== e.title;
+		if (moved) {
+			rescheduled.push({
+				id: key,
+				title: e.title,
+				from: { start: old.start, end: old.end },
+				to: { start: e.start, end: e.end },
+			});
+		}
+		if (renamed) retitled.push({ id: key, start: e.start, from: old.title, to: e.title });
+		if (!moved && !renamed) unchanged++;
+	}
+	for (const [key, e] of before) {
+		if (after.has(key)) continue;
+		if (todayYmd && String(e.end || e.start || "").slice(0, 10) < todayYmd) ended++;
+		else removed.push(summarize(e));
+	}
+
+	const byStart = (a, b) => String(a.start ?? a.to?.start).localeCompare(String(b.start ?? b.to?.start));
+	added.sort(byStart);
+	removed.sort(byStart);
+	rescheduled.sort(byStart);
+	retitled.sort(byStart);
+
+	return { added, removed, rescheduled, retitled, unchanged, ended };
+}
+
+// failures: one { itemUrl, type, message } per item that produced nothing, out of itemCount scraped.
+function itemSummary(itemCount, failures) {
+	const byType = {};
+	for (const f of failures) byType[f.type] = (byType[f.type] || 0) + 1;
+	return { total: itemCount, failed: failures.length, byType, failures };
+}
+
+export function buildSyncReport(
+	previous,
+	next,
+	{ generatedAt = new Date(), todayYmd = null, itemCount = null, failures = [] } = {}
+) {
+	const diff = diffEvents(previous, next, { todayYmd });
+	const report = {
+		generatedAt: generatedAt.toISOString(),
+		totals: {
+			before: previous?.length ?? 0,
+			after: next?.length ?? 0,
+			added: diff.added.length,
+			removed: diff.removed.length,
+			rescheduled: diff.rescheduled.length,
+			retitled: diff.retitled.length,
+			unchanged: diff.unchanged,
+			ended: diff.ended,
+		},
+		added: diff.added,
+		removed: diff.removed,
+		rescheduled: diff.rescheduled,
+		retitled: diff.retitled,
+	};
+	if (itemCount !== null) report.items = itemSummary(itemCount, failures);
+	return report;
+}
+
+function formatWhen(iso, timeZone) {
+	const d = new Date(iso);
+	if (!iso || Number.isNaN(d.getTime())) return String(iso ?? "?");
+	return d.toLocaleString("en-US", {
+		timeZone,
+		weekday: "short",
+		month: "short",
+		day: "numeric",
+		hour: "numeric",
+		minute: "2-digit",
+	});
+}
+
+function summaryLine(report) {
+	const t = report.totals;
+	const ended = t.ended ? `, ${t.ended} ended` : "";
+	return `${t.added} added, ${t.removed} removed, ${t.rescheduled} rescheduled, ${t.retitled} retitled${ended} (${t.before} → ${t.after} events)`;
+}
+
+function itemsLine(items) {
+	const types = Object.entries(items.byType).map(([type, n]) => `${n} ${FAILURE_LABELS[type] || type}`);
+	return `${items.total} item(s) checked, ${items.failed} failed${types.length ? ` (${types.join(", ")})` : ""}`;
+}
+
+// Plain text for the console.
+export function formatReportText(report, { timeZone } = {}) {
+	const lines = [`Changes: ${summaryLine(report)}.`];
+	for (const e of report.added) lines.push(`  + ${formatWhen(e.start, timeZone)}  ${e.title}`);
+	for (const e of report.removed) lines.push(`  - ${formatWhen(e.start, timeZone)}  ${e.title}`);
+	for (const e of report.rescheduled) {
+		lines.push(`  ~ ${e.title}: ${formatWhen(e.from.start, timeZone)} → ${formatWhen(e.to.start, timeZone)}`);
+	}
+	for (const e of report.retitled) lines.push(`  ~ ${formatWhen(e.start, timeZone)}  "${e.from}" → "${e.to}"`);
+	if (report.items) {
+		lines.push(`Items: ${itemsLine(report.items)}.`);
+		for (const f of report.items.failures) lines.push(`  ! ${FAILURE_LABELS[f.type] || f.type}: ${f.itemUrl}`);
+	}
+	return lines.join("\n");
+}
+
+// Markdown for a commit body or the GitHub step summary. No "#" headings: git drops those lines from commit messages.
+export function formatReportMarkdown(report, { timeZone } = {}) {
+	const out = [`**Events sync:** ${summaryLine(report)}.`];
+	if (report.items) out.push("", `**Items:** ${itemsLine(report.items)}.`);
+
+	const section = (label, items, render) => {
+		if (!items.length) return;
+		out.push("", `**${label} (${items.length})**`, "");
+		for (const item of items.slice(0, LIST_LIMIT)) out.push(`- ${render(item)}`);
+		if (items.length > LIST_LIMIT) out.push(`- …and ${items.length - LIST_LIMIT} more`);
+	};
+
+	section("Added", report.added, (e) => `${formatWhen(e.start, timeZone)} — [${e.title}](${e.url})`);
+	section("Removed", report.removed, (e) => `${formatWhen(e.start, timeZone)} — ${e.title}`);
+	section(
+		"Rescheduled",
+		report.rescheduled,
+		(e) => `${e.title}: ${formatWhen(e.from.start, timeZone)} → ${formatWhen(e.to.start, timeZone)}`
+	);
+	section("Retitled", report.retitled, (e) => `${formatWhen(e.start, timeZone)}: "${e.from}" → "${e.to}"`);
+	section(
+		"Failed items",
+		report.items?.failures || [],
+		(f) => `${FAILURE_LABELS[f.type] || f.type} — ${f.itemUrl} (${f.message})`
+	);
+
+	return out.join("\n") + "\n";
+}
@@ -0,0 +1,75 @@
+// Month shards for the calendar page: events/YYYY-MM.json plus events/index.json listing each file's hash,
+// so the page fetches only the months it shows and can cache every shard until its hash changes.
+
+import { createHash } from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+export const SHARD_INDEX_NAME = "index.json";
+const SHARD_NAME = /^\d{4}-\d{2}\.json$/;
+
+function nextMonth(key) {
+	const [y, m] = key.split("-").map(Number);
+	return m === 12 ? `${y + 1}-01` : `${y}-${String(m + 1).padStart(2, "0")}`;
+}
+
+// Month keys ("2026-10") an event touches, by the local dates in its ISO start/end.
+export function eventMonths(e) {
+	const first = String(e.start || "").slice(0, 7);
+	if (!/^\d{4}-\d{2}$/.test(first)) return [];
+	const endKey = String(e.end || "").slice(0, 7);
+	const last = /^\d{4}-\d{2}$/.test(endKey) && endKey > first ? endKey : first;
+	const months = [first];
+	while (months.at(-1) < last) months.push(nextMonth(months.at(-1)));
+	return months;
+}
+
+// Map of month key -> events; a session that runs past midnight into the next month is in both shards.
+export function shardEvents(events) {
+	const shards = new Map();
+	for (const e of events) {
+		for (const key of eventMonths(e)) {
+			if (!shards.has(key)) shards.set(key, []);
+			shards.get(key).push(e);
+		}
+	}
+	return new Map([...shards].sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function shardJson(list) {
+	return JSON.stringify(list, null, 2) + "\n";
+}
+
+export function buildShardIndex(shards, { publicPath = "events" } = {}) {
+	const months = {};
+	for (const [key, list] of shards) {
+		months[key] = {
+			file: `${publicPath}/${key}.json`,
+			hash: createHash("sha256").update(shardJson(list)).digest("hex").slice(0, 12),
+			count: list.length,
+		};
+	}
+	// No timestamp: the index only changes when a shard does.
+	return { version: 1, months };
+}
+
+// Rewrites dir to hold exactly the current shards and their index; returns the index.
+export async function writeShards(dir, events, { publicPath = "events" } = {}) {
+	const shards = shardEvents(events);
+	const index = buildShardIndex(shards, { publicPath });
+	await fs.mkdir(dir, { recursive: true });
+
+	for (const [key, list] of shards) {
+		const file = path.join(dir, `${key}.json`);
+		const json = shardJson(list);
+		// Unchanged months keep their file untouched, so git only sees the months that moved.
+		const current = await fs.readFile(file, "utf8").catch(() => null);
+		if (current !== json) await fs.writeFile(file, json, "utf8");
+	}
+	for (const name of await fs.readdir(dir)) {
+		if (SHARD_NAME.test(name) && !shards.has(name.slice(0, 7))) await fs.rm(path.join(dir, name));
+	}
+
+	await fs.writeFile(path.join(dir, SHARD_INDEX_NAME), JSON.stringify(index, null, 2) + "\n", "utf8");
+	return index;
+}
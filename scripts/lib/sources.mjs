@@ -0,0 +1,90 @@
+// FareHarbor companies/flows to sync, from sources.json.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+
+import { isFareharborEvent, itemIdFromFareharborUrl } from "./fareharbor.mjs";
+
+// Without a sources file the sync falls back to one source from the env vars.
+export async function loadSources(file, { company, flow }) {
+	let config = null;
+	try {
+		config = JSON.parse(await fs.readFile(file, "utf8"));
+	} catch (err) {
+		if (err?.code !== "ENOENT") throw new Error(`Could not read ${file}: ${err?.message || err}`);
+		return [{ id: "default", label: "Events", company, flow, category: null, file: null }];
+	}
+
+	const list = Array.isArray(config?.sources) ? config.sources : [];
+	if (!list.length) throw new Error(`${file} has no "sources".`);
+
+	const seen = new Set();
+	return list.map((s, i) => {
+		if (!s?.company || !s?.flow) throw new Error(`${file}: source #${i + 1} needs "company" and "flow".`);
+		const id = String(s.id || `${s.company}-${s.flow}`);
+		if (seen.has(id)) throw new Error(`${file}: duplicate source id "${id}".`);
+		seen.add(id);
+		return {
+			id,
+			label: s.label || id,
+			company: String(s.company),
+			flow: String(s.flow),
+			category: s.category || null,
+			// Per-source events file, relative to sources.json.
+			file: s.file ? path.resolve(path.dirname(file), s.file) : null,
+		};
+	});
+}
+
+export function listingUrlForSource(source) {
+	return `https://fareharbor.com/embeds/book/${source.company}/items/?flow=${encodeURIComponent(source.flow)}&full-items=yes`;
+}
+
+export function itemUrlForSource(source, itemId) {
+	return `https://fareharbor.com/embeds/book/${source.company}/items/${itemId}/?full-items=yes&flow=${encodeURIComponent(source.flow)}`;
+}
+
+export function isSourceEvent(e, sources) {
+	return sources.some((s) => isFareharborEvent(e, s.company));
+}
+
+// Events from a previous run that belong to this source (older files have no sourceIds, or no sourceId at all).
+export function eventsForSource(events, source, sources) {
+	return events.filter((e) => {
+		if (Array.isArray(e.sourceIds)) return e.sourceIds.includes(source.id);
+		return e.sourceId ? e.sourceId === source.id : source === sources[0] && isFareharborEvent(e, source.company);
+	});
+}
+
+// The event as this source's embed should show it: booking links go through the source's own flow.
+export function eventForSource(e, source) {
+	if (!e.url || !isFareharborEvent(e, source.company)) return e;
+	try {
+		const url = new URL(e.url);
+		if (url.searchParams.get("flow") === source.flow) return e;
+		url.searchParams.set("flow", source.flow);
+		return { ...e, url: url.toString() };
+	} catch {
+		return e;
+	}
+}
+
+// One entry per company/item, scraped through the first source in file order. `sources` lists every source whose
+// flow has the item, so each of their files and embeds still shows it.
+export function assignItemsToSources(itemUrlsBySource) {
+	const byKey = new Map();
+	let duplicates = 0;
+	for (const { source, itemUrls } of itemUrlsBySource) {
+		for (const itemUrl of itemUrls) {
+			const key = `${source.company}/${itemIdFromFareharborUrl(itemUrl) || itemUrl}`;
+			const item = byKey.get(key);
+			if (item) {
+				duplicates++;
+				if (!item.sources.includes(source)) item.sources.push(source);
+				continue;
+			}
+			byKey.set(key, { itemUrl, source, sources: [source] });
+		}
+	}
+	return { items: [...byKey.values()], duplicates };
+}
@@ -0,0 +1,108 @@
+// Cache persisted between runs (.sync-cache.json): HTTP validators and a content hash per page, plus the
+// events each item produced from exactly those pages. An item whose pages all come back unchanged is
+// reused from here instead of being parsed again.
+//
+//   { version, pages: { [url]: { etag, lastModified, hash } }, items: { [itemUrl]: { pages: { [url]: hash }, events } } }
+
+import { createHash } from "node:crypto";
+import fs from "node:fs/promises";
+
+import { httpError } from "./fetch.mjs";
+
+// Bump when the shape changes or parsing changes what an item produces; older caches are then ignored.
+export const SYNC_CACHE_VERSION = 1;
+
+export function emptySyncCache() {
+	return { version: SYNC_CACHE_VERSION, pages: {}, items: {} };
+}
+
+export function hashText(text) {
+	return createHash("sha256").update(String(text)).digest("hex").slice(0, 16);
+}
+
+export async function loadSyncCache(file, { log = console } = {}) {
+	try {
+		const data = JSON.parse(await fs.readFile(file, "utf8"));
+		if (data?.version === SYNC_CACHE_VERSION) {
+			return { ...emptySyncCache(), pages: data.pages || {}, items: data.items || {} };
+		}
+		log.warn(`Ignoring ${file}: cache version ${data?.version} is not ${SYNC_CACHE_VERSION}.`);
+	} catch (err) {
+		if (err?.code !== "ENOENT") log.warn(`Could not read ${file}: ${err?.message || err}`);
+	}
+	return emptySyncCache();
+}
+
+export async function saveSyncCache(file, data) {
+	// Write then rename, so a cancelled job never leaves a truncated cache behind.
+	const tmp = `${file}.tmp`;
+	await fs.writeFile(tmp, JSON.stringify(data) + "\n", "utf8");
+	await fs.rename(tmp, file);
+}
+
+function sameHashes(a, b) {
+	const keys = Object.keys(a);
+	return keys.length === Object.keys(b || {}).length && keys.every((k) => a[k] && a[k] === b[k]);
+}
+
+export function createSyncCache(data = emptySyncCache(), { fetchImpl = fetch, headers = {} } = {}) {
+	const pages = { ...data.pages };
+	const items = { ...data.items };
+	const fetchedPages = new Set();
+
+	return {
+		// { body, hash }; body is null when the server answered 304 and the cached hash stands.
+		// Pass revalidate: false to get the body of a page that was already confirmed unchanged; `log` goes to fetchImpl.
+		async fetchPage(url, { signal, revalidate = true, log } = {}) {
+			const prev = pages[url];
+			const requestHeaders = { ...headers };
+			if (revalidate && prev?.etag) requestHeaders["if-none-match"] = prev.etag;
+			if (revalidate && prev?.lastModified) requestHeaders["if-modified-since"] = prev.lastModified;
+
+			const res = await fetchImpl(url, { redirect: "follow", signal, headers: requestHeaders, log });
+			fetchedPages.add(url);
+			if (res.status === 304 && prev) return { body: null, hash: prev.hash };
+			if (!res.ok) throw httpError(res, url);
+
+			const body = await res.text();
+			const hash = hashText(body);
+			pages[url] = {
+				etag: res.headers.get("etag") || undefined,
+				lastModified: res.headers.get("last-modified") || undefined,
+				hash,
+			};
+			return { body, hash };
+		},
+
+		// Events saved for this item, if they came from pages with exactly these hashes.
+		itemEvents(itemUrl, pageHashes) {
+			const entry = items[itemUrl];
+			return entry && sameHashes(pageHashes, entry.pages) ? entry.events : null;
+		},
+
+		saveItemEvents(itemUrl, pageHashes, events) {
+			items[itemUrl] = { pages: pageHashes, events };
+		},
+
+		forgetItem(itemUrl) {
+			delete items[itemUrl];
+		},
+
+		// Items that are no longer listed drop out, along with pages nothing fetched or refers to.
+		snapshot({ itemUrls } = {}) {
+			const keepItems = itemUrls ? new Set(itemUrls) : null;
+			const outItems = {};
+			const keepPages = new Set(fetchedPages);
+			for (const [itemUrl, entry] of Object.entries(items)) {
+				if (keepItems && !keepItems.has(itemUrl)) continue;
+				outItems[itemUrl] = entry;
+				for (const url of Object.keys(entry.pages || {})) keepPages.add(url);
+			}
+			const outPages = {};
+			for (const [url, page] of Object.entries(pages)) {
+				if (keepPages.has(url)) outPages[url] = page;
+			}
+			return { version: SYNC_CACHE_VERSION, pages: outPages, items: outItems };
+		},
+	};
+}
@@ -0,0 +1,268 @@
+// Dates, time ranges and time zone math for the sync.
+
+export function todayYmdInTimeZone(timeZone) {
+	// en-CA gives YYYY-MM-DD format
+	return new Intl.DateTimeFormat("en-CA", {
+		timeZone,
+		year: "numeric",
+		month: "2-digit",
+		day: "2-digit",
+	}).format(new Date());
+}
+
+export function addDaysToYmd(ymd, days) {
+	const [y, m, d] = String(ymd).split("-").map(Number);
+	return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+export function monthsBetweenYmd(fromYmd, toYmd) {
+	// Every { year, month } touched by the range, inclusive.
+	const out = [];
+	let [y, m] = String(fromYmd).split("-").map(Number);
+	const [endY, endM] = String(toYmd).split("-").map(Number);
+	while (y < endY || (y === endY && m <= endM)) {
+		out.push({ year: y, month: m });
+		m += 1;
+		if (m > 12) {
+			m = 1;
+			y += 1;
+		}
+	}
+	return out;
+}
+
+export function parseDateLabelToYmd(dateLabel) {
+	// Expects "Saturday, January 31, 2026" (weekday optional) or an ISO date.
+	const text = String(dateLabel).trim();
+	const m = text.match(/(?:\w+\s*,\s*)?([A-Za-z]+)\s+(\d{1,2}),\s*(\d{4})/);
+	if (!m) {
+		// Calendar cells may only carry a data-date="YYYY-MM-DD".
+		const iso = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+		return iso ? `${iso[1]}-${iso[2]}-${iso[3]}` : null;
+	}
+	const [, monthName, dayStr, yearStr] = m;
+
+	const monthIndex = [
+		"january",
+		"february",
+		"march",
+		"april",
+		"may",
+		"june",
+		"july",
+		"august",
+		"september",
+		"october",
+		"november",
+		"december",
+	].indexOf(monthName.toLowerCase());
+	if (monthIndex === -1) return null;
+
+	const year = Number(yearStr);
+	const day = Number(dayStr);
+	const month = monthIndex + 1;
+
+	const y = String(year).padStart(4, "0");
+	const mo = String(month).padStart(2, "0");
+	const d = String(day).padStart(2, "0");
+	return `${y}-${mo}-${d}`;
+}
+
+function normalizeTimeWords(text) {
+	// "Noon - 2pm" reads like "12:00 PM - 2pm" to the regexes below.
+	return text.replaceAll(/\bnoon\b/gi, "12:00 PM").replaceAll(/\bmidnight\b/gi, "12:00 AM");
+}
+
+export function parseEventTimeRange(html) {
+	const text = normalizeTimeWords(
+		String(html || "")
+			.replaceAll(/\u00A0/g, " ")
+			.replaceAll(/\s+/g, " ")
+			.trim()
+	);
+	if (!text) return null;
+
+	const normAp = (ap) => {
+		if (!ap) return null;
+		const s = String(ap).toUpperCase().replaceAll(".", "");
+		if (s === "AM" || s === "PM") return s;
+		return null;
+	};
+
+	// Match common time ranges from page text.
+	const rangeRe =
+		/(?:\bEvent\s+is\b|\bHours\b|\bTime\b|\bWhen\b|\bSchedule\b|\bDuration\b)?[^\d]{0,20}(\d{1,2})(?::(\d{2}))?\s*(A\.?M\.?|P\.?M\.?|AM|PM)?\s*(?:-|–|—|to)\s*(\d{1,2})(?::(\d{2}))?\s*(A\.?M\.?|P\.?M\.?|AM|PM)?/i;
+
+	const m = text.match(rangeRe);
+	if (!m) return null;
+	const [, sh, sm, sapRaw, eh, em, eapRaw] = m;
+	let sap = normAp(sapRaw);
+	let eap = normAp(eapRaw);
+
+	// If one side is missing AM/PM, borrow it.
+	const borrowed = !sap ? "start" : !eap ? "end" : null;
+	if (!sap && eap) sap = eap;
+	if (!eap && sap) eap = sap;
+
+	// If both are missing AM/PM, too fuzzy.
+	if (!sap || !eap) return null;
+
+	const start = { h: Number(sh), m: Number(sm || "0"), ap: sap };
+	const end = { h: Number(eh), m: Number(em || "0"), ap: eap };
+
+	// "11-1pm" means 11 AM, not 11 PM: a borrowed side must not run backwards.
+	const s24 = to24Hour(start);
+	const e24 = to24Hour(end);
+	if (borrowed && s24.hour * 60 + s24.minute > e24.hour * 60 + e24.minute) {
+		const flip = (ap) => (ap === "AM" ? "PM" : "AM");
+		if (borrowed === "start") start.ap = flip(start.ap);
+		else end.ap = flip(end.ap);
+	}
+
+	return { start, end };
+}
+
+export function parseStartTimeAndDuration(text) {
+	const t = normalizeTimeWords(
+		String(text || "")
+			.replaceAll(/\u00A0/g, " ")
+			.replaceAll(/\s+/g, " ")
+			.trim()
+	);
+	if (!t) return null;
+
+	const normAp = (ap) => {
+		if (!ap) return null;
+		const s = String(ap).toUpperCase().replaceAll(".", "");
+		if (s === "AM" || s === "PM") return s;
+		return null;
+	};
+
+	// Example: "6:00 PM" + "2 Hours"
+	const startM = t.match(/\b(\d{1,2})(?::(\d{2}))?\s*(A\.?M\.?|P\.?M\.?|AM|PM)\b/i);
+	if (!startM) return null;
+	const sh = Number(startM[1]);
+	const sm = Number(startM[2] || "0");
+	const sap = normAp(startM[3]);
+	if (!sap) return null;
+
+	let durationMinutes = 0;
+	const hoursM = t.match(/\b(\d+(?:\.\d+)?)\s*Hours?\b/i);
+	if (hoursM) durationMinutes += Math.round(Number(hoursM[1]) * 60);
+	const minsM = t.match(/\b(\d{1,3})\s*Minutes?\b/i);
+	if (minsM) durationMinutes += Number(minsM[1]);
+
+	if (!durationMinutes || !Number.isFinite(durationMinutes)) return null;
+
+	const start24 = to24Hour({ h: sh, m: sm, ap: sap });
+	const startTotal = start24.hour * 60 + start24.minute;
+	// Past midnight: wrap the clock but remember how many days we crossed.
+	const endDayOffset = Math.floor((startTotal + durationMinutes) / (24 * 60));
+	const endTotal = (startTotal + durationMinutes) % (24 * 60);
+	const endHour24 = Math.floor(endTotal / 60);
+	const endMinute = endTotal % 60;
+	const endAp = endHour24 >= 12 ? "PM" : "AM";
+	const endHour12 = ((endHour24 + 11) % 12) + 1;
+
+	return {
+		start: { h: sh, m: sm, ap: sap },
+		end: { h: endHour12, m: endMinute, ap: endAp },
+		endDayOffset,
+	};
+}
+
+export function to24Hour({ h, m, ap }) {
+	let hour = h % 12;
+	if (ap === "PM") hour += 12;
+	return { hour, minute: m };
+}
+
+export function timeRangeForAvailability(label, itemTr) {
+	// A range on the session itself wins.
+	const own = parseEventTimeRange(label);
+	if (own) return own;
+	if (!itemTr) return null;
+
+	// A bare start time ("10:30 AM") keeps the item's usual duration.
+	const s = to24Hour(itemTr.start);
+	const e = to24Hour(itemTr.end);
+	const minutes = (e.hour * 60 + e.minute - (s.hour * 60 + s.minute) + 24 * 60) % (24 * 60);
+	return (minutes && parseStartTimeAndDuration(`${label} ${minutes / 60} Hours`)) || itemTr;
+}
+
+function timeZoneOffsetMinutes(date, timeZone) {
+	// How far the zone's wall clock is ahead of UTC at this instant.
+	const parts = Object.fromEntries(
+		new Intl.DateTimeFormat("en-US", {
+			timeZone,
+			hourCycle: "h23",
+			year: "numeric",
+			month: "2-digit",
+			day: "2-digit",
+			hour: "2-digit",
+			minute: "2-digit",
+			second: "2-digit",
+		})
+			.formatToParts(date)
+			.map((p) => [p.type, p.value])
+	);
+	const asUtc = Date.UTC(
+		Number(parts.year),
+		Number(parts.month) - 1,
+		Number(parts.day),
+		Number(parts.hour),
+		Number(parts.minute),
+		Number(parts.second)
+	);
+	return Math.round((asUtc - date.getTime()) / 60_000);
+}
+
+export function ymdAndTimeToIsoInZone(ymd, hour, minute, timeZone) {
+	// Wall time in timeZone -> "2026-03-28T10:00:00-04:00" (DST-aware).
+	const [y, mo, d] = String(ymd).split("-").map(Number);
+	const wallAsUtc = Date.UTC(y, mo - 1, d, hour, minute);
+	let offset = timeZoneOffsetMinutes(new Date(wallAsUtc), timeZone);
+	// Second pass settles days where the offset changes.
+	offset = timeZoneOffsetMinutes(new Date(wallAsUtc - offset * 60_000), timeZone);
+
+	const sign = offset < 0 ? "-" : "+";
+	const abs = Math.abs(offset);
+	const hh = String(hour).padStart(2, "0");
+	const mm = String(minute).padStart(2, "0");
+	const oh = String(Math.floor(abs / 60)).padStart(2, "0");
+	const om = String(abs % 60).padStart(2, "0");
+	return `${ymd}T${hh}:${mm}:00${sign}${oh}:${om}`;
+}
+
+export function instantToIsoInZone(value, timeZone) {
+	// Any timestamp (e.g. "2026-03-28T14:00:00Z" or "...-0400") -> the zone's wall time with its offset.
+	const d = new Date(String(value || "").replace(/([+-]\d{2})(\d{2})$/, "$1:$2"));
+	if (Number.isNaN(d.getTime())) return null;
+	d.setUTCSeconds(0, 0);
+	const offset = timeZoneOffsetMinutes(d, timeZone);
+	// Offset comes from the instant itself, so the repeated hour when DST ends keeps the right one.
+	const wall = new Date(d.getTime() + offset * 60_000).toISOString().slice(0, 16);
+	const abs = Math.abs(offset);
+	const oh = String(Math.floor(abs / 60)).padStart(2, "0");
+	const om = String(abs % 60).padStart(2, "0");
+	return `${wall}:00${offset < 0 ? "-" : "+"}${oh}:${om}`;
+}
+
+export function timeRangeToIsoPair(ymd, tr, timeZone) {
+	// No parsed range: all-day-ish 10am-8pm placeholder.
+	if (!tr) {
+		return {
+			start: ymdAndTimeToIsoInZone(ymd, 10, 0, timeZone),
+			end: ymdAndTimeToIsoInZone(ymd, 20, 0, timeZone),
+		};
+	}
+
+	const s = to24Hour(tr.start);
+	const e = to24Hour(tr.end);
+	// "9pm - 1am" ends the next day.
+	const endDayOffset = tr.endDayOffset ?? (e.hour * 60 + e.minute < s.hour * 60 + s.minute ? 1 : 0);
+	return {
+		start: ymdAndTimeToIsoInZone(ymd, s.hour, s.minute, timeZone),
+		end: ymdAndTimeToIsoInZone(addDaysToYmd(ymd, endDayOffset), e.hour, e.minute, timeZone),
+	};
+}
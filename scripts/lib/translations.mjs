@@ -0,0 +1,53 @@
+// Translated titles and descriptions from translations.json, merged into each event as
+// `translations: { es: { title, description } }` for the calendar page to pick from.
+
+import fs from "node:fs/promises";
+
+import { itemIdFromFareharborUrl } from "./fareharbor.mjs";
+
+// Fields a translation may set; the calendar falls back to the original for anything missing.
+const TRANSLATABLE = ["title", "description"];
+
+export async function loadTranslations(file, { log = console } = {}) {
+	try {
+		const translations = JSON.parse(await fs.readFile(file, "utf8"));
+		if (translations && typeof translations.items === "object") return translations;
+		log.warn(`Ignoring ${file}: no "items" object.`);
+	} catch (err) {
+		if (err?.code !== "ENOENT") log.warn(`Could not read ${file}: ${err?.message || err}`);
+	}
+	return null;
+}
+
+function cleanTranslation(entry) {
+	const clean = {};
+	for (const key of TRANSLATABLE) {
+		if (typeof entry?.[key] === "string" && entry[key].trim()) clean[key] = entry[key].trim();
+	}
+	return Object.keys(clean).length ? clean : null;
+}
+
+// { "items": { "639860": { "es": { "title": "…", "description": "…" } } } }, keyed by FareHarbor item ID.
+export function applyTranslations(events, translations, { log = console } = {}) {
+	if (!translations) return events;
+
+	// Cleaned once per item, so a bad entry warns once rather than once per session.
+	const byItem = new Map();
+	for (const [itemId, byLanguage] of Object.entries(translations.items)) {
+		const merged = {};
+		for (const [language, entry] of Object.entries(byLanguage || {})) {
+			if (!/^[a-z]{2}$/.test(language)) {
+				log.warn(`Ignoring translation "${language}" for item ${itemId}: expected a two-letter language code.`);
+				continue;
+			}
+			const clean = cleanTranslation(entry);
+			if (clean) merged[language] = clean;
+		}
+		if (Object.keys(merged).length) byItem.set(String(itemId), merged);
+	}
+
+	return events.map((e) => {
+		const itemId = itemIdFromFareharborUrl(e.url);
+		return itemId && byItem.has(itemId) ? { ...e, translations: byItem.get(itemId) } : e;
+	});
+}
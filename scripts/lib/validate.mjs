@@ -0,0 +1,147 @@
+// Checks that run before events.json is overwritten: schema shape, then run-level sanity limits.
+
+import fs from "node:fs/promises";
+
+import { isFareharborEvent } from "./fareharbor.mjs";
+
+export const UNTITLED_TITLE = "Untitled Event";
+
+export async function loadSchema(file) {
+	return JSON.parse(await fs.readFile(file, "utf8"));
+}
+
+function typeOf(value) {
+	if (value === null) return "null";
+	if (Array.isArray(value)) return "array";
+	if (Number.isInteger(value)) return "integer";
+	return typeof value;
+}
+
+function matchesType(value, type) {
+	const actual = typeOf(value);
+	return actual === type || (type === "number" && actual === "integer");
+}
+
+// Covers the JSON Schema keywords events.schema.json uses, nothing more.
+export function validateAgainstSchema(value, schema, at = "$") {
+	const errors = [];
+	if (!schema || typeof schema !== "object") return errors;
+
+	if (schema.type) {
+		const types = [].concat(schema.type);
+		if (!types.some((t) => matchesType(value, t))) {
+			errors.push(`${at}: expected ${types.join(" or ")}, got ${typeOf(value)}`);
+			return errors;
+		}
+	}
+	if (schema.enum && !schema.enum.includes(value)) {
+		errors.push(`${at}: must be one of ${schema.enum.join(", ")}`);
+	}
+
+	if (typeof value === "string") {
+		if (schema.minLength != null && value.length < schema.minLength) errors.push(`${at}: must not be empty`);
+		if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+			errors.push(`${at}: "${value}" does not match ${schema.pattern}`);
+		}
+	}
+	if (typeof value === "number" && schema.minimum != null && value < schema.minimum) {
+		errors.push(`${at}: must be at least ${schema.minimum}`);
+	}
+
+	if (Array.isArray(value) && schema.items) {
+		value.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, `${at}[${i}]`)));
+	}
+
+	if (typeOf(value) === "object") {
+		for (const key of schema.required || []) {
+			if (value[key] === undefined) errors.push(`${at}: missing "${key}"`);
+		}
+		const props = schema.properties || {};
+		for (const [key, v] of Object.entries(value)) {
+			if (props[key]) errors.push(...validateAgainstSchema(v, props[key], `${at}.${key}`));
+			else if (schema.additionalProperties === false) errors.push(`${at}: unexpected "${key}"`);
+			else if (typeof schema.additionalProperties === "object") {
+				errors.push(...validateAgainstSchema(v, schema.additionalProperties, `${at}.${key}`));
+			}
+		}
+	}
+
+	return errors;
+}
+
+// Schema errors plus rules a schema can't express.
+export function validateEvents(events, schema) {
+	const errors = validateAgainstSchema(events, schema);
+	if (!Array.isArray(events)) return errors;
+
+	const seen = new Set();
+	events.forEach((e, i) => {
+		if (e?.id && seen.has(e.id)) errors.push(`$[${i}]: duplicate id "${e.id}"`);
+		seen.add(e?.id);
+		if (e?.end && e?.start && new Date(e.end) < new Date(e.start)) {
+			errors.push(`$[${i}]: ends (${e.end}) before it starts (${e.start})`);
+		}
+	});
+	return errors;
+}
+
+// Hand-written events (overrides.json, events kept by --merge-existing) may carry fields the schema doesn't know.
+// Those fields are dropped with a warning instead of failing the whole run.
+export function dropUnknownFields(events, schema, { log = console, label = "event" } = {}) {
+	const known = new Set(Object.keys(schema?.items?.properties || {}));
+	return events.map((e) => {
+		const unknown = Object.keys(e).filter((key) => !known.has(key));
+		if (!unknown.length) return e;
+		log.warn(`Dropping unknown field(s) ${unknown.map((k) => `"${k}"`).join(", ")} from ${label} "${e.id || e.title}".`);
+		const clean = { ...e };
+		for (const key of unknown) delete clean[key];
+		return clean;
+	});
+}
+
+export function isUntitled(e) {
+	const title = String(e?.title ?? "").trim();
+	return !title || title === UNTITLED_TITLE;
+}
+
+// previous: events.json as it was; next: what we're about to write;
+// scraped: raw FareHarbor events, where timeFallback marks the made-up 10:00–20:00 hours;
+// items: { total, failed } item counts for the run.
+export function checkThresholds({ previous, next, scraped, companies, todayYmd, items }, limits) {
+	const fromFareharbor = (list) => list.filter((e) => companies.some((c) => isFareharborEvent(e, c)));
+	// Sessions that simply ended since the last run aren't a drop.
+	const stillUpcoming = fromFareharbor(previous).filter((e) => String(e.end || e.start || "").slice(0, 10) >= todayYmd);
+	const nextCount = fromFareharbor(next).length;
+
+	const stats = {
+		previous: stillUpcoming.length,
+		next: nextCount,
+		dropRatio: stillUpcoming.length ? Math.max(0, (stillUpcoming.length - nextCount) / stillUpcoming.length) : 0,
+		fallbackRatio: scraped.length ? scraped.filter((e) => e.timeFallback).length / scraped.length : 0,
+		untitledRatio: scraped.length ? scraped.filter(isUntitled).length / scraped.length : 0,
+		failureRatio: items?.total ? items.failed / items.total : 0,
+	};
+
+	const percent = (r) => `${Math.round(r * 100)}%`;
+	const problems = [];
+	if (stats.dropRatio > limits.maxDropRatio) {
+		problems.push(
+			`event count dropped ${percent(stats.dropRatio)} (${stats.previous} → ${stats.next}); limit ${percent(limits.maxDropRatio)}`
+		);
+	}
+	if (stats.fallbackRatio > limits.maxFallbackRatio) {
+		problems.push(
+			`${percent(stats.fallbackRatio)} of events use fallback 10:00–20:00 hours; limit ${percent(limits.maxFallbackRatio)}`
+		);
+	}
+	if (stats.untitledRatio > limits.maxUntitledRatio) {
+		problems.push(`${percent(stats.untitledRatio)} of events are untitled; limit ${percent(limits.maxUntitledRatio)}`);
+	}
+	if (stats.failureRatio > limits.maxFailureRatio) {
+		problems.push(
+			`${percent(stats.failureRatio)} of items failed (${items.failed} of ${items.total}); limit ${percent(limits.maxFailureRatio)}`
+		);
+	}
+
+	return { stats, problems };
+}
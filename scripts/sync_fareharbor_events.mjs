@@ -1,6 +1,73 @@
 import fs from "node:fs/promises";
+import path from "node:path";
 import { fileURLToPath } from "node:url";
 
+import {
+	createBrowserSession,
+	scrapeCalendarViaPlaywright,
+	scrapeItemViaPlaywright,
+	scrapeListingViaPlaywright,
+} from "./lib/browser.mjs";
+import { categorizeEvent, loadCategoryConfig, withCategory } from "./lib/categories.mjs";
+import { mapWithConcurrency, sleep, withTimeout } from "./lib/concurrency.mjs";
+import {
+	availabilityIdFromUrl,
+	fareharborEventId,
+	itemCalendarUrl,
+	itemIdFromFareharborUrl,
+	normalizeFareharborUrl,
+	withEventId,
+} from "./lib/fareharbor.mjs";
+import {
+	extractBestImageFromHtml,
+	extractDescriptionFromHtml,
+	extractItemUrlsFromItemsListing,
+	extractNextPageUrl,
+	extractTitleFromHtml,
+	htmlToText,
+	isGenericDescription,
+	parseAvailabilityAnchors,
+	parseAvailabilityState,
+	parsePricesForAnchor,
+	parsePricesFromText,
+	shortenText,
+} from "./lib/html.mjs";
+import { DEFAULT_API_BASE_URL, createFareharborApiAdapter } from "./lib/fareharbor-api.mjs";
+import { createFareharborEmbedAdapter } from "./lib/fareharbor-embed.mjs";
+import { classifyFailure, createFetcher, httpError, parseError } from "./lib/fetch.mjs";
+import { buildIcsCalendar } from "./lib/ics.mjs";
+import { createLogger } from "./lib/logger.mjs";
+import { writeShards } from "./lib/shards.mjs";
+import { countByYear, loadArchive, mergeArchive, withArchive } from "./lib/archive.mjs";
+import { loadSiteConfig, siteDomain, writeEventPages } from "./lib/pages.mjs";
+import { buildAtomFeed, buildJsonFeed, stampEvents } from "./lib/feeds.mjs";
+import { buildSyncMetrics } from "./lib/metrics.mjs";
+import { createImageProcessor, localizeThumbnails, pruneImages, referencedImageNames } from "./lib/images.mjs";
+import { buildSyncReport, formatReportMarkdown, formatReportText } from "./lib/report.mjs";
+import {
+	addDaysToYmd,
+	monthsBetweenYmd,
+	parseDateLabelToYmd,
+	parseEventTimeRange,
+	parseStartTimeAndDuration,
+	timeRangeForAvailability,
+	timeRangeToIsoPair,
+	todayYmdInTimeZone,
+} from "./lib/time.mjs";
+import { applyOverrides, isHiddenItem, loadOverrides, manualEvents } from "./lib/overrides.mjs";
+import { applyTranslations, loadTranslations } from "./lib/translations.mjs";
+import {
+	assignItemsToSources,
+	eventForSource,
+	eventsForSource,
+	isSourceEvent,
+	itemUrlForSource,
+	listingUrlForSource,
+	loadSources,
+} from "./lib/sources.mjs";
+import { createSyncCache, emptySyncCache, loadSyncCache, saveSyncCache } from "./lib/sync-cache.mjs";
+import { UNTITLED_TITLE, checkThresholds, dropUnknownFields, loadSchema, validateEvents } from "./lib/validate.mjs";
+
 const SHOULD_WRITE = process.argv.includes("--write");
 const MERGE_EXISTING = process.argv.includes("--merge-existing") || process.env.MERGE_EXISTING === "1";
 const ALLOW_EMPTY_WRITE = process.argv.includes("--allow-empty") || process.env.ALLOW_EMPTY === "1";
@@ -21,708 +88,771 @@ const DEFAULT_EVENTS_FILE = fileURLToPath(
 	new URL("../events.json", import.meta.url)
 );
 const EVENTS_FILE = getArgValue("--events-file") || process.env.EVENTS_FILE || DEFAULT_EVENTS_FILE;
+const ICS_FILE = getArgValue("--ics-file") || process.env.ICS_FILE || EVENTS_FILE.replace(/\.json$/i, "") + ".ics";
 
-function sleep(ms) {
-	return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
-function decodeHtmlEntities(str) {
-	return String(str)
-		.replaceAll(/&#x([0-9a-fA-F]+);/g, (_, hex) => {
-			try {
-				return String.fromCodePoint(parseInt(hex, 16));
-			} catch {
-				return _;
-			}
-		})
-		.replaceAll(/&#([0-9]+);/g, (_, dec) => {
-			try {
-				return String.fromCodePoint(parseInt(dec, 10));
-			} catch {
-				return _;
-			}
-		})
-		.replaceAll(/&amp;/g, "&")
-		.replaceAll(/&lt;/g, "<")
-		.replaceAll(/&gt;/g, ">")
-		.replaceAll(/&quot;/g, '"')
-		.replaceAll(/&#39;/g, "'")
-		.replaceAll(/\s+/g, " ")
-		.trim();
-}
+const DEFAULT_CATEGORIES_FILE = fileURLToPath(
+	new URL("../categories.json", import.meta.url)
+);
+const CATEGORIES_FILE = getArgValue("--categories-file") || process.env.CATEGORIES_FILE || DEFAULT_CATEGORIES_FILE;
+
+// Where event data comes from: "embed" reads the booking embed's JSON, "api" the partner API (needs keys),
+// "html" scrapes pages. Each falls back to scraping; "auto" tries the partner API when configured, then the embed.
+const DATA_SOURCE = (getArgValue("--data-source") || process.env.FAREHARBOR_DATA_SOURCE || "auto").toLowerCase();
+const DATA_SOURCES = ["auto", "embed", "api", "html"];
+const API_BASE_URL = process.env.FAREHARBOR_API_URL || null;
+const API_APP_KEY = process.env.FAREHARBOR_API_APP || null;
+const API_USER_KEY = process.env.FAREHARBOR_API_USER || null;
+
+// Companies/flows to scrape; without this file COMPANY and FLOW above are the only source.
+const DEFAULT_SOURCES_FILE = fileURLToPath(
+	new URL("../sources.json", import.meta.url)
+);
+const SOURCES_FILE = getArgValue("--sources-file") || process.env.SOURCES_FILE || DEFAULT_SOURCES_FILE;
 
-function extractMetaContent(html, attrName, attrValue) {
-	const re = new RegExp(
-		`<meta[^>]+${attrName}=["']${attrValue}["'][^>]+content=["']([^"']+)["'][^>]*>`,
-		"i"
-	);
-	const m = html.match(re);
-	return m ? decodeHtmlEntities(m[1]) : null;
-}
+// Manual events, hidden items and per-item/availability corrections.
+const DEFAULT_OVERRIDES_FILE = fileURLToPath(
+	new URL("../overrides.json", import.meta.url)
+);
+const OVERRIDES_FILE = getArgValue("--overrides-file") || process.env.OVERRIDES_FILE || DEFAULT_OVERRIDES_FILE;
 
-function extractTitleFromHtml(html) {
-	// Try h1 first, then og:title, then title.
-	const h1 = html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
-	if (h1) return decodeHtmlEntities(h1[1].replaceAll(/<[^>]+>/g, " "));
+// Translated titles/descriptions per item, for the calendar's other languages.
+const DEFAULT_TRANSLATIONS_FILE = fileURLToPath(
+	new URL("../translations.json", import.meta.url)
+);
+const TRANSLATIONS_FILE =
+	getArgValue("--translations-file") || process.env.TRANSLATIONS_FILE || DEFAULT_TRANSLATIONS_FILE;
 
-	const og = extractMetaContent(html, "property", "og:title") || extractMetaContent(html, "name", "og:title");
-	if (og) return og;
+// Guardrails checked before overwriting events.json. Set a limit to 1 to turn that check off.
+const DEFAULT_SCHEMA_FILE = fileURLToPath(
+	new URL("../events.schema.json", import.meta.url)
+);
+const SCHEMA_FILE = getArgValue("--schema-file") || process.env.SCHEMA_FILE || DEFAULT_SCHEMA_FILE;
 
-	const t = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
-	if (t) return decodeHtmlEntities(t[1]);
+// Venue, site URL and currency for the static event pages.
+const DEFAULT_SITE_FILE = fileURLToPath(
+	new URL("../site.json", import.meta.url)
+);
+const SITE_FILE = getArgValue("--site-file") || process.env.SITE_FILE || DEFAULT_SITE_FILE;
+// Beats site.json's "url"; the workflow sets it to the GitHub Pages address.
+const SITE_URL = getArgValue("--site-url") || process.env.SITE_URL || null;
 
-	return null;
+function ratioOption(flag, envName, fallback) {
+	const n = Number(getArgValue(flag) ?? process.env[envName] ?? fallback);
+	return Number.isFinite(n) ? Math.min(1, Math.max(0, n)) : fallback;
 }
+const LIMITS = {
+	maxDropRatio: ratioOption("--max-drop-ratio", "MAX_DROP_RATIO", 0.5),
+	maxFallbackRatio: ratioOption("--max-fallback-ratio", "MAX_FALLBACK_RATIO", 0.25),
+	maxUntitledRatio: ratioOption("--max-untitled-ratio", "MAX_UNTITLED_RATIO", 0.1),
+	maxFailureRatio: ratioOption("--max-failure-ratio", "MAX_FAILURE_RATIO", 0.25),
+};
+
+// Thumbnails are downloaded, resized and served from here; paths in events.json are relative to the events file.
+const SYNC_IMAGES = !process.argv.includes("--no-images") && process.env.SYNC_IMAGES !== "0";
+const IMAGES_DIR = getArgValue("--images-dir") || process.env.IMAGES_DIR || path.join(path.dirname(EVENTS_FILE), "images");
+const IMAGES_PUBLIC_PATH = path.relative(path.dirname(EVENTS_FILE), IMAGES_DIR).split(path.sep).join("/");
+
+// Month shards + index the calendar page loads lazily; paths in the index are relative to the events file.
+const SHARDS_DIR = getArgValue("--shards-dir") || process.env.SHARDS_DIR || path.join(path.dirname(EVENTS_FILE), "events");
+const SHARDS_PUBLIC_PATH = path.relative(path.dirname(EVENTS_FILE), SHARDS_DIR).split(path.sep).join("/");
+// Ended events are moved here instead of being dropped.
+const ARCHIVE_FILE =
+	getArgValue("--archive-file") || process.env.ARCHIVE_FILE || path.join(path.dirname(EVENTS_FILE), "archive.json");
+
+// Static pages for crawlers and link previews; links to images and init.html are made relative to this folder.
+const PAGES_DIR = getArgValue("--pages-dir") || process.env.PAGES_DIR || path.join(path.dirname(EVENTS_FILE), "pages");
+const PAGES_PUBLIC_PATH = path.relative(path.dirname(EVENTS_FILE), PAGES_DIR).split(path.sep).join("/");
+
+// Atom and JSON Feed of events added or changed in the last FEED_DAYS days.
+const FEED_FILE = getArgValue("--feed-file") || process.env.FEED_FILE || path.join(path.dirname(EVENTS_FILE), "feed.xml");
+const JSON_FEED_FILE =
+	getArgValue("--json-feed-file") || process.env.JSON_FEED_FILE || path.join(path.dirname(EVENTS_FILE), "feed.json");
+const FEED_DAYS = Math.max(1, Number(getArgValue("--feed-days") || process.env.FEED_DAYS || 14) || 14);
+
+// Change report for the run: JSON for tools, Markdown for the commit body / step summary.
+const REPORT_FILE =
+	getArgValue("--report-file") || process.env.REPORT_FILE || path.join(path.dirname(EVENTS_FILE), "sync-report.json");
+const REPORT_MD_FILE = getArgValue("--report-md") || process.env.REPORT_MD_FILE || REPORT_FILE.replace(/\.json$/i, "") + ".md";
+
+// How far ahead to pull availabilities from each item's calendar.
+const LOOKAHEAD_DAYS = Math.max(
+	1,
+	Number(getArgValue("--lookahead-days") || process.env.LOOKAHEAD_DAYS || 90) || 90
+);
 
-function extractBestImageFromHtml(html, pageUrl) {
-	// JSON-LD usually has the real image.
-	for (const m of html.matchAll(/<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)) {
-		const txt = (m[1] || "").trim();
-		if (!txt) continue;
-		try {
-			const data = JSON.parse(txt);
-			const objs = Array.isArray(data) ? data : [data];
-			for (const o of objs) {
-				if (!o || typeof o !== "object") continue;
-				const img = o.image || o.thumbnailUrl;
-				const pick = Array.isArray(img) ? img.find((x) => typeof x === "string") : img;
-				if (!pick) continue;
-				try {
-					const abs = new URL(pick, pageUrl).toString();
-					if (!/marketing\.fareharbor\.com\/wp-content\/uploads\//i.test(abs) && !/fh-og/i.test(abs)) return abs;
-				} catch {
-					// skip bad URL
-				}
-			}
-		} catch {
-			// skip bad JSON-LD
-		}
-	}
+// Items scraped at once, pause between requests per worker, and hard limit per item.
+const CONCURRENCY = Math.max(1, Number(getArgValue("--concurrency") || process.env.SYNC_CONCURRENCY || 3) || 3);
+const DELAY_MS = Math.max(0, Number(getArgValue("--delay-ms") ?? process.env.SYNC_DELAY_MS ?? 250) || 0);
+const ITEM_TIMEOUT_MS = Math.max(
+	1000,
+	Number(getArgValue("--item-timeout-ms") || process.env.ITEM_TIMEOUT_MS || 120_000) || 120_000
+);
 
-	const og =
-		extractMetaContent(html, "property", "og:image") ||
-		extractMetaContent(html, "name", "og:image") ||
-		extractMetaContent(html, "property", "twitter:image") ||
-		extractMetaContent(html, "name", "twitter:image");
+// Log lines as text or JSON (one object per line), from debug up.
+const logger = createLogger({
+	format: (getArgValue("--log-format") || process.env.LOG_FORMAT || "text").toLowerCase(),
+	level: (getArgValue("--log-level") || process.env.LOG_LEVEL || "info").toLowerCase(),
+});
 
-	const isGenericFareharborThumb = (u) => {
-		const s = String(u || "");
-		return /marketing\.fareharbor\.com\/wp-content\/uploads\//i.test(s) || /fh-og/i.test(s);
-	};
+// Health numbers for the run, committed next to events.json.
+const METRICS_FILE =
+	getArgValue("--metrics-file") || process.env.METRICS_FILE || path.join(path.dirname(EVENTS_FILE), "sync-metrics.json");
 
-	// Use og/twitter if it's not the generic icon.
-	if (og && !isGenericFareharborThumb(og)) {
-		try {
-			return new URL(og, pageUrl).toString();
-		} catch {
-			// skip bad URL
-		}
-	}
+// Every request gets its own time limit and is retried on network errors, 429 and 5xx, with backoff.
+const RETRIES = Math.max(0, Math.floor(Number(getArgValue("--retries") ?? process.env.SYNC_RETRIES ?? 3)) || 0);
+const REQUEST_TIMEOUT_MS = Math.max(
+	1000,
+	Number(getArgValue("--request-timeout-ms") || process.env.REQUEST_TIMEOUT_MS || 30_000) || 30_000
+);
+const fetchWithRetry = createFetcher({ retries: RETRIES, timeoutMs: REQUEST_TIMEOUT_MS, log: logger });
 
-	// Try common image patterns in page HTML.
-	const candidates = [];
+// Page validators, hashes and per-item results from earlier runs; --full-refresh scrapes everything again.
+const CACHE_FILE =
+	getArgValue("--cache-file") || process.env.SYNC_CACHE_FILE || path.join(path.dirname(EVENTS_FILE), ".sync-cache.json");
+const FULL_REFRESH = process.argv.includes("--full-refresh") || process.env.FULL_REFRESH === "1";
 
-	for (const m of html.matchAll(/<img[^>]+src=["']([^"']+)["'][^>]*>/gi)) {
-		candidates.push(m[1]);
-	}
-	for (const m of html.matchAll(/background-image\s*:\s*url\(\s*['"]?([^'")]+)['"]?\s*\)/gi)) {
-		candidates.push(m[1]);
-	}
-	for (const m of html.matchAll(/url\(\s*['"]?([^'")]+\.(?:png|jpe?g|webp))['"]?\s*\)/gi)) {
-		candidates.push(m[1]);
-	}
+// Safety stop for listing pagination that loops back on itself.
+const MAX_LISTING_PAGES = 100;
 
-	for (const c of candidates) {
-		if (!c) continue;
-		if (isGenericFareharborThumb(c)) continue;
-		try {
-			const abs = new URL(c, pageUrl).toString();
-			return abs;
-		} catch {
-			// skip bad URL
-		}
-	}
+const HTML_HEADERS = {
+	"user-agent":
+		"Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36",
+	accept: "text/html,application/xhtml+xml",
+};
 
-	// Last fallback: generic og image.
-	if (!og) return null;
+async function readExistingEvents() {
 	try {
-		return new URL(og, pageUrl).toString();
+		const existing = JSON.parse(await fs.readFile(EVENTS_FILE, "utf8"));
+		return Array.isArray(existing) ? existing : [];
 	} catch {
-		return null;
+		return [];
 	}
 }
 
-function todayYmdInTimeZone(timeZone) {
-	// en-CA gives YYYY-MM-DD format
-	return new Intl.DateTimeFormat("en-CA", {
-		timeZone,
-		year: "numeric",
-		month: "2-digit",
-		day: "2-digit",
-	}).format(new Date());
-}
-
-function parsePricesForAnchor(html) {
-	// Looks like: Prices for <a ...>Saturday, January 31, 2026</a>
-	const m = html.match(
-		/Prices\s+for\s*<a[^>]+href=["']([^"']*\/availability\/\d+\/book\/[^"']*)["'][^>]*>([^<]+)<\/a>/i
-	);
-	if (!m) return null;
-	return { availabilityUrl: m[1], dateLabel: decodeHtmlEntities(m[2]) };
-}
-
-function parseDateLabelToYmd(dateLabel) {
-	// Expects "Saturday, January 31, 2026" (weekday optional)
-	const text = String(dateLabel).trim();
-	const m = text.match(/(?:\w+\s*,\s*)?([A-Za-z]+)\s+(\d{1,2}),\s*(\d{4})/);
-	if (!m) return null;
-	const [, monthName, dayStr, yearStr] = m;
-
-	const monthIndex = [
-		"january",
-		"february",
-		"march",
-		"april",
-		"may",
-		"june",
-		"july",
-		"august",
-		"september",
-		"october",
-		"november",
-		"december",
-	].indexOf(monthName.toLowerCase());
-	if (monthIndex === -1) return null;
-
-	const year = Number(yearStr);
-	const day = Number(dayStr);
-	const month = monthIndex + 1;
-
-	const y = String(year).padStart(4, "0");
-	const mo = String(month).padStart(2, "0");
-	const d = String(day).padStart(2, "0");
-	return `${y}-${mo}-${d}`;
-}
-
-function parseEventTimeRange(html) {
-	const text = String(html || "")
-		.replaceAll(/\u00A0/g, " ")
-		.replaceAll(/\s+/g, " ")
-		.trim();
-	if (!text) return null;
-
-	const normAp = (ap) => {
-		if (!ap) return null;
-		const s = String(ap).toUpperCase().replaceAll(".", "");
-		if (s === "AM" || s === "PM") return s;
-		return null;
-	};
-
-	// Match common time ranges from page text.
-	const rangeRe =
-		/(?:\bEvent\s+is\b|\bHours\b|\bTime\b|\bWhen\b|\bSchedule\b|\bDuration\b)?[^\d]{0,20}(\d{1,2})(?::(\d{2}))?\s*(A\.?M\.?|P\.?M\.?|AM|PM)?\s*(?:-|–|—|to)\s*(\d{1,2})(?::(\d{2}))?\s*(A\.?M\.?|P\.?M\.?|AM|PM)?/i;
-
-	const m = text.match(rangeRe);
-	if (!m) return null;
-	const [, sh, sm, sapRaw, eh, em, eapRaw] = m;
-	let sap = normAp(sapRaw);
-	let eap = normAp(eapRaw);
-
-	// If one side is missing AM/PM, borrow it.
-	if (!sap && eap) sap = eap;
-	if (!eap && sap) eap = sap;
-
-	// If both are missing AM/PM, too fuzzy.
-	if (!sap || !eap) return null;
-
-	return {
-		start: { h: Number(sh), m: Number(sm || "0"), ap: sap },
-		end: { h: Number(eh), m: Number(em || "0"), ap: eap },
-	};
-}
-
-function parseStartTimeAndDuration(text) {
-	const t = String(text || "")
-		.replaceAll(/\u00A0/g, " ")
-		.replaceAll(/\s+/g, " ")
-		.trim();
-	if (!t) return null;
-
-	const normAp = (ap) => {
-		if (!ap) return null;
-		const s = String(ap).toUpperCase().replaceAll(".", "");
-		if (s === "AM" || s === "PM") return s;
-		return null;
-	};
-
-	// Example: "6:00 PM" + "2 Hours"
-	const startM = t.match(/\b(\d{1,2})(?::(\d{2}))?\s*(A\.?M\.?|P\.?M\.?|AM|PM)\b/i);
-	if (!startM) return null;
-	const sh = Number(startM[1]);
-	const sm = Number(startM[2] || "0");
-	const sap = normAp(startM[3]);
-	if (!sap) return null;
-
-	let durationMinutes = 0;
-	const hoursM = t.match(/\b(\d+(?:\.\d+)?)\s*Hours?\b/i);
-	if (hoursM) durationMinutes += Math.round(Number(hoursM[1]) * 60);
-	const minsM = t.match(/\b(\d{1,3})\s*Minutes?\b/i);
-	if (minsM) durationMinutes += Number(minsM[1]);
-
-	if (!durationMinutes || !Number.isFinite(durationMinutes)) return null;
-
-	const start24 = to24Hour({ h: sh, m: sm, ap: sap });
-	const startTotal = start24.hour * 60 + start24.minute;
-	const endTotal = (startTotal + durationMinutes) % (24 * 60);
-	const endHour24 = Math.floor(endTotal / 60);
-	const endMinute = endTotal % 60;
-	const endAp = endHour24 >= 12 ? "PM" : "AM";
-	const endHour12 = ((endHour24 + 11) % 12) + 1;
-
-	return {
-		start: { h: sh, m: sm, ap: sap },
-		end: { h: endHour12, m: endMinute, ap: endAp },
-	};
+async function fetchHtml(url, { signal, log } = {}) {
+	const res = await fetchWithRetry(url, { redirect: "follow", signal, headers: HTML_HEADERS, log });
+	if (!res.ok) throw httpError(res, url);
+	return await res.text();
 }
 
-function to24Hour({ h, m, ap }) {
-	let hour = h % 12;
-	if (ap === "PM") hour += 12;
-	return { hour, minute: m };
-}
+// The item page and one calendar page per month in the window, each asked for with its cache validators.
+// A failed calendar fetch is kept as a page without a hash, so the item can't be reused from the cache.
+async function fetchItemPages(itemUrl, fromYmd, toYmd, { cache, signal, log }) {
+	const calendarUrls = monthsBetweenYmd(fromYmd, toYmd)
+		.map(({ year, month }) => itemCalendarUrl(itemUrl, year, month))
+		.filter(Boolean);
 
-function ymdAndTimeToIsoLocal(ymd, hour, minute) {
-	const hh = String(hour).padStart(2, "0");
-	const mm = String(minute).padStart(2, "0");
-	return `${ymd}T${hh}:${mm}:00`;
+	const pages = [{ url: itemUrl, ...(await cache.fetchPage(itemUrl, { signal, log })) }];
+	for (const url of calendarUrls) {
+		await sleep(DELAY_MS);
+		try {
+			pages.push({ url, ...(await cache.fetchPage(url, { signal, log })) });
+		} catch (err) {
+			if (signal?.aborted) throw err;
+			log.warn(`Calendar fetch failed: ${err?.message || err}`);
+			pages.push({ url, body: null, hash: null, failed: true });
+		}
+	}
+	return pages;
 }
 
-async function fetchHtml(url) {
-	const res = await fetch(url, {
-		redirect: "follow",
-		headers: {
-			"user-agent":
-				"Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36",
-			accept: "text/html,application/xhtml+xml",
-		},
-	});
-	if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
-	return await res.text();
+// Body of a fetched page; one that came back 304 is fetched again in full.
+async function pageBody(page, { cache, signal, log }) {
+	if (page.body === null && !page.failed) {
+		page.body = (await cache.fetchPage(page.url, { signal, revalidate: false, log })).body;
+	}
+	return page.body;
 }
 
-async function withPlaywright(fn) {
-	let pw;
-	try {
-		pw = await import("playwright");
-	} catch (err) {
-		throw new Error(
-			"Playwright is not installed. Run `npm install` at repo root."
-		);
+async function collectCalendarAvailabilities(calendarPages, { cache, browser, signal, log }) {
+	// Try plain HTML first.
+	const found = [];
+	const needsBrowser = [];
+	for (const page of calendarPages) {
+		let anchors = [];
+		try {
+			const html = await pageBody(page, { cache, signal, log });
+			anchors = html ? parseAvailabilityAnchors(html).filter((a) => parseDateLabelToYmd(a.dateLabel)) : [];
+		} catch (err) {
+			if (signal?.aborted) throw err;
+			log.warn(`Calendar fetch failed: ${err?.message || err}`);
+		}
+		if (anchors.length) found.push(...anchors);
+		else needsBrowser.push(page.url);
 	}
 
-	const browser = await pw.chromium.launch({ headless: true });
-	const context = await browser.newContext();
-	try {
-		return await fn({ browser, context });
-	} finally {
-		await context.close().catch(() => {});
-		await browser.close().catch(() => {});
+	// Calendar grid is usually client-rendered, so render what static HTML missed.
+	if (needsBrowser.length) {
+		try {
+			const context = await browser.context();
+			for (const url of needsBrowser) {
+				found.push(...(await scrapeCalendarViaPlaywright(context, url, { signal })));
+			}
+		} catch (err) {
+			if (signal?.aborted) throw err;
+			log.warn(`Calendar browser render failed: ${err?.message || err}`);
+		}
 	}
+
+	return { found, usedBrowser: needsBrowser.length > 0 };
 }
 
-async function getItemUrlsFromListing(listingUrl) {
-	// Try plain HTML first.
-	const listingHtml = await fetchHtml(listingUrl);
-	let itemUrls = extractItemUrlsFromItemsListing(listingHtml)
-		.map(normalizeFareharborUrl)
-		.filter((u) => u.includes(`/embeds/book/${COMPANY}/items/`));
+async function getItemUrlsFromListing(source, { browser, log }) {
+	const listingUrl = listingUrlForSource(source);
+
+	// Try plain HTML first, following the listing's pages until one adds nothing new.
+	const itemUrls = new Set();
+	const seenPages = new Set();
+	let pageUrl = listingUrl;
+	while (pageUrl && !seenPages.has(pageUrl) && seenPages.size < MAX_LISTING_PAGES) {
+		seenPages.add(pageUrl);
+		const listingHtml = await fetchHtml(pageUrl, { log });
+		const before = itemUrls.size;
+		for (const u of extractItemUrlsFromItemsListing(listingHtml).map(normalizeFareharborUrl)) {
+			if (u.includes(`/embeds/book/${source.company}/items/`)) itemUrls.add(u);
+		}
+		if (itemUrls.size === before) break;
+		pageUrl = extractNextPageUrl(listingHtml, pageUrl);
+		if (pageUrl) await sleep(DELAY_MS);
+	}
 
 	// If static HTML has item URLs, use those.
-	if (itemUrls.length > 0) {
-		return { itemUrls: [...new Set(itemUrls)], usedBrowser: false };
+	if (itemUrls.size > 0) {
+		return { itemUrls: [...itemUrls], pages: seenPages.size, usedBrowser: false };
 	}
 
 	// If not, use headless browser render.
-	return await withPlaywright(async ({ context }) => {
-		const page = await context.newPage();
-		try {
-			await page.goto(listingUrl, { waitUntil: "domcontentloaded" });
-			await page.waitForTimeout(1500);
-			await page.waitForLoadState("networkidle").catch(() => {});
-
-			const abs = await page.evaluate((company) => {
-				const hrefs = Array.from(document.querySelectorAll('a[href*="/items/"]'))
-					.map((a) => a.getAttribute("href"))
-					.filter(Boolean);
-
-				const out = [];
-				for (const h of hrefs) {
-					try {
-						const u = new URL(h, "https://fareharbor.com");
-						if (!u.pathname.includes(`/embeds/book/${company}/items/`)) continue;
-						if (!/\/items\/\d+\/?/i.test(u.pathname)) continue;
-						out.push(u.toString());
-					} catch {
-						// skip bad link
-					}
-				}
-				return out;
-			}, COMPANY);
-
-			itemUrls = [...new Set(abs)];
-			return { itemUrls, usedBrowser: true };
-		} finally {
-			await page.close().catch(() => {});
-		}
-	});
+	const context = await browser.context();
+	return { itemUrls: await scrapeListingViaPlaywright(context, listingUrl, source.company), pages: 1, usedBrowser: true };
 }
 
-async function scrapeItemViaPlaywright(context, itemUrl) {
-	const page = await context.newPage();
-	try {
-		await page.goto(itemUrl, { waitUntil: "domcontentloaded" });
-		await page.waitForTimeout(1500);
-		await page.waitForLoadState("networkidle").catch(() => {});
-
-		// Wait until template placeholders resolve.
-		await page
-			.waitForFunction(() => {
-				const h1 = document.querySelector("h1");
-				const t = (h1?.textContent || "").trim();
-				return t && !/\[!\s*item\.name\s*!\]/i.test(t);
-			}, { timeout: 10_000 })
-			.catch(() => {});
-
-		const dom = await page.evaluate(() => {
-			const h1 = document.querySelector("h1");
-			const title = (h1?.textContent || document.title || "").trim();
-
-			const meta = (name, value) => {
-				const sel = `meta[${name}="${value}"]`;
-				return document.querySelector(sel)?.getAttribute("content") || null;
-			};
-
-			const isGenericFareharborThumb = (u) => {
-				const s = String(u || "");
-				return s.includes("marketing.fareharbor.com/wp-content/uploads/") || s.includes("fh-og");
-			};
-
-			const normalizeUrl = (u) => {
-				if (!u) return null;
-				try {
-					return new URL(u, window.location.href).toString();
-				} catch {
-					return null;
-				}
-			};
-
-			const metaThumb =
-				meta("property", "og:image") ||
-				meta("name", "og:image") ||
-				meta("name", "twitter:image") ||
-				meta("property", "twitter:image");
-
-			// JSON-LD first.
-			let jsonLdThumb = null;
-			for (const s of Array.from(document.querySelectorAll('script[type="application/ld+json"]')).slice(0, 8)) {
-				const txt = (s.textContent || "").trim();
-				if (!txt) continue;
-				try {
-					const data = JSON.parse(txt);
-					const objs = Array.isArray(data) ? data : [data];
-					for (const o of objs) {
-						if (!o || typeof o !== "object") continue;
-						const img = o.image || o.thumbnailUrl;
-						const pick = Array.isArray(img) ? img.find((x) => typeof x === "string") : img;
-						const norm = normalizeUrl(pick);
-						if (norm && !isGenericFareharborThumb(norm)) {
-							jsonLdThumb = norm;
-							break;
-						}
-					}
-					if (jsonLdThumb) break;
-				} catch {
-					// skip bad JSON-LD
-				}
-				if (jsonLdThumb) break;
-			}
+// Throws when the item page can't be fetched or parsed; the caller records why.
+async function scrapeItem(itemUrl, { cache, browser, signal, log, stats, fromYmd, toYmd }) {
+	const pages = await fetchItemPages(itemUrl, fromYmd, toYmd, { cache, signal, log });
+	const inWindow = (e) => {
+		const ymd = String(e.start).slice(0, 10);
+		return ymd >= fromYmd && ymd <= toYmd;
+	};
 
-			// Try to find a better real-page thumbnail.
-			const candidates = [];
-			if (jsonLdThumb) candidates.push({ url: jsonLdThumb, score: 10_000_000 });
-			if (metaThumb) candidates.push({ url: normalizeUrl(metaThumb), score: 10 });
-
-			const imgEls = Array.from(document.querySelectorAll("img")).slice(0, 80);
-			for (const img of imgEls) {
-				const src = normalizeUrl(img.currentSrc || img.src || img.getAttribute("src"));
-				if (!src) continue;
-				const nw = Number(img.naturalWidth || 0);
-				const nh = Number(img.naturalHeight || 0);
-				const area = nw && nh ? nw * nh : 0;
-				const inHero = Boolean(img.closest(".fh-item__image,.item-image,.hero,.gallery,.carousel,.slider"));
-				candidates.push({ url: src, score: (area || 1) + (inHero ? 5_000_000 : 0) });
-			}
+	// Same pages as the last scrape: reuse what they produced.
+	const pageHashes = Object.fromEntries(pages.map((p) => [p.url, p.hash]));
+	const cached = cache.itemEvents(itemUrl, pageHashes);
+	if (cached) {
+		stats.fromCache = true;
+		const events = cached.filter(inWindow);
+		log.info(`Unchanged since last run; ${events.length} availability(ies) in window.`);
+		return events;
+	}
 
-			// Also check background images.
-			const bgEls = Array.from(
-				document.querySelectorAll('[style*="background"],.fh-item__image,.item-image,.hero,.gallery,.carousel,.slider')
-			).slice(0, 120);
-			for (const el of bgEls) {
-				const cs = window.getComputedStyle(el);
-				const bg = cs.backgroundImage || "";
-				if (!bg || bg === "none") continue;
-				const m = bg.match(/url\(\s*['\"]?([^'\")]+)['\"]?\s*\)/i);
-				if (!m) continue;
-				const src = normalizeUrl(m[1]);
-				if (!src) continue;
-				const r = el.getBoundingClientRect();
-				const area = Math.max(0, r.width) * Math.max(0, r.height);
-				const inHero = el.matches(".fh-item__image,.item-image,.hero") || Boolean(el.closest(".fh-item__image,.item-image,.hero"));
-				candidates.push({ url: src, score: (area || 1) + (inHero ? 5_000_000 : 0) });
-			}
+	const html = await pageBody(pages[0], { cache, signal, log });
+	let usedBrowser = false;
 
-			const best = candidates
-				.filter((c) => c.url)
-				.filter((c) => !isGenericFareharborThumb(c.url))
-				.sort((a, b) => b.score - a.score)[0];
+	let title = extractTitleFromHtml(html) || UNTITLED_TITLE;
+	let thumbnail = extractBestImageFromHtml(html, itemUrl);
+	let description = extractDescriptionFromHtml(html);
+	let prices = parsePricesForAnchor(html);
+	let priceList = parsePricesFromText(html);
+	let seeds = parseAvailabilityAnchors(html);
+	let bodyText = htmlToText(html);
+	let trFromText = parseEventTimeRange(bodyText || "") || parseStartTimeAndDuration(bodyText || "");
+
+	// If static HTML misses data, use browser render fallback.
+	if (!prices || !trFromText) {
+		usedBrowser = true;
+		let dom;
+		try {
+			dom = await scrapeItemViaPlaywright(await browser.context(), itemUrl, { signal });
+		} catch (err) {
+			if (signal?.aborted) throw err;
+			log.warn(`Browser fallback failed: ${err?.message || err}`);
+		}
 
-			const thumbnail = best?.url || normalizeUrl(metaThumb);
+		if (dom?.title) title = dom.title;
+		if (dom?.thumbnail) thumbnail = dom.thumbnail;
+		if (!description && dom?.description && !isGenericDescription(dom.description)) {
+			description = shortenText(dom.description, 280);
+		}
+		if (dom?.availabilities?.length) seeds = [...seeds, ...dom.availabilities];
+		if (dom?.bodyText) bodyText = dom.bodyText;
+		trFromText = parseEventTimeRange(bodyText || "") || parseStartTimeAndDuration(bodyText || "");
+		if (!priceList.length) priceList = parsePricesFromText(bodyText);
+	}
 
-			// Grab first visible availability link.
-			const links = Array.from(document.querySelectorAll("a"));
-			const a = links.find((x) => {
-				const href = x.getAttribute("href") || "";
-				const txt = (x.textContent || "").trim();
-				return /\/availability\/\d+\/book\//i.test(href) && /\d{4}/.test(txt);
-			});
+	// Item page shows one date; the calendar has the rest.
+	const calendar = await collectCalendarAvailabilities(pages.slice(1), { cache, browser, signal, log });
+	const fromCalendar = calendar.found;
+	usedBrowser ||= calendar.usedBrowser;
+	const byAvailabilityId = new Map();
+	for (const a of [...(prices ? [prices] : []), ...seeds, ...fromCalendar]) {
+		const id = a.availabilityId || availabilityIdFromUrl(a.availabilityUrl);
+		if (!id) continue;
+		const prev = byAvailabilityId.get(id);
+		// Same session seen twice: keep both labels (one may have the date, the other the status).
+		const dateLabel = prev && prev.dateLabel !== a.dateLabel ? `${prev.dateLabel} ${a.dateLabel}` : a.dateLabel;
+		byAvailabilityId.set(id, { ...prev, ...a, availabilityId: id, dateLabel });
+	}
 
-			const availabilityUrl = a ? a.getAttribute("href") : null;
-			const dateLabel = a ? (a.textContent || "").trim() : null;
+	stats.usedBrowser = usedBrowser;
 
-			const bodyText = document.body?.innerText || "";
-			return { title, thumbnail, availabilityUrl, dateLabel, bodyText };
-		});
+	// Rendered pages can change while their static HTML doesn't, so only static results are reused.
+	const remember = (events) => {
+		if (usedBrowser) cache.forgetItem(itemUrl);
+		else cache.saveItemEvents(itemUrl, pageHashes, events);
+		return events.filter(inWindow);
+	};
 
-		return dom;
-	} finally {
-		await page.close().catch(() => {});
+	if (byAvailabilityId.size === 0) {
+		// Nothing readable at all usually means a block page or a markup change, not an empty schedule.
+		if (title === UNTITLED_TITLE) throw parseError("No title or availability found on the item page");
+		log.warn("No availability found; skipping.");
+		return remember([]);
 	}
-}
 
-function extractItemUrlsFromItemsListing(html) {
-	const urls = new Set();
-	for (const m of html.matchAll(/https:\/\/fareharbor\.com\/embeds\/book\/[^\s"']+\/items\/\d+\/?[^"'\s<]*/gi)) {
-		urls.add(m[0]);
-	}
-	// Also handle relative links.
-	for (const m of html.matchAll(/href=["'](\/embeds\/book\/[\w-]+\/items\/\d+\/?[^"']*)["']/gi)) {
-		try {
-			urls.add(new URL(m[1], "https://fareharbor.com").toString());
-		} catch {
-			// skip bad link
+	const events = [];
+	for (const a of byAvailabilityId.values()) {
+		const ymd = parseDateLabelToYmd(a.dateLabel);
+		if (!ymd) {
+			log.warn(`Could not parse date from: ${a.dateLabel}`);
+			continue;
 		}
-	}
-	return [...urls];
-}
 
-function normalizeFareharborUrl(url) {
-	// Make URL absolute.
-	try {
-		return new URL(url, "https://fareharbor.com").toString();
-	} catch {
-		return url;
+		const tr = timeRangeForAvailability(a.dateLabel, trFromText);
+		const { start: startIso, end: endIso } = timeRangeToIsoPair(ymd, tr, TIME_ZONE);
+
+		const state = parseAvailabilityState(a.dateLabel);
+		events.push({
+			id: fareharborEventId(itemIdFromFareharborUrl(itemUrl), a.availabilityId),
+			title,
+			start: startIso,
+			end: endIso,
+			url: normalizeFareharborUrl(a.availabilityUrl),
+			thumbnail: thumbnail || undefined,
+			description: description || undefined,
+			prices: priceList.length ? priceList : undefined,
+			soldOut: state.soldOut || undefined,
+			spotsLeft: state.spotsLeft ?? undefined,
+			// Not written out; counted by the guardrails.
+			timeFallback: !tr || undefined,
+		});
 	}
+	// Whole calendar months are kept, so a later run with a moved window can still reuse them.
+	const current = remember(events);
+	log.info(`${current.length} availability(ies) in window.`);
+	return current;
 }
 
-function isFareharborEvent(e) {
-	try {
-		const u = new URL(e.url);
-		return u.hostname.includes("fareharbor.com") && u.pathname.includes(`/embeds/book/${COMPANY}/items/`);
-	} catch {
-		return false;
+// Data sources for one item, best first. HTML scraping (with the browser fallback) is always last.
+// The partner API only answers with keys (or a base URL that adds them), so `auto` skips it without them.
+function createAdapters() {
+	const html = { name: "html", itemEvents: scrapeItem };
+	if (DATA_SOURCE === "html") return [html];
+
+	const embed = createFareharborEmbedAdapter({
+		timeZone: TIME_ZONE,
+		fetchImpl: fetchWithRetry,
+		headers: { "user-agent": HTML_HEADERS["user-agent"] },
+		delayMs: DELAY_MS,
+	});
+	if (DATA_SOURCE === "embed") return [embed, html];
+
+	const hasKeys = Boolean(API_APP_KEY && API_USER_KEY);
+	if (DATA_SOURCE === "auto" && !hasKeys && !API_BASE_URL) return [embed, html];
+	if (!hasKeys && !API_BASE_URL) {
+		logger.warn("--data-source api without FareHarbor API keys; every item will fall back to scraping.");
 	}
+	const api = createFareharborApiAdapter({
+		baseUrl: API_BASE_URL || DEFAULT_API_BASE_URL,
+		appKey: API_APP_KEY,
+		userKey: API_USER_KEY,
+		timeZone: TIME_ZONE,
+		fetchImpl: fetchWithRetry,
+	});
+	return DATA_SOURCE === "api" ? [api, html] : [api, embed, html];
 }
 
-function itemIdFromFareharborUrl(url) {
-	const m = String(url || "").match(/\/items\/(\d+)\b/i);
-	return m ? m[1] : null;
+async function loadItemEvents(adapters, itemUrl, context) {
+	for (const [i, adapter] of adapters.entries()) {
+		const next = adapters[i + 1];
+		try {
+			const events = await adapter.itemEvents(itemUrl, context);
+			context.stats.adapter = adapter.name;
+			return events;
+		} catch (err) {
+			if (!next || context.signal?.aborted) throw err;
+			context.log.warn(`${adapter.name} source failed (${err?.message || err}); trying ${next.name}.`);
+		}
+	}
+	return [];
 }
 
 async function main() {
-	const listingUrl = `https://fareharbor.com/embeds/book/${COMPANY}/items/?flow=${encodeURIComponent(FLOW)}&full-items=yes`;
-	console.log(`Fetching items listing: ${listingUrl}`);
-
-	let itemUrls = [];
-	let usedBrowser = false;
-	try {
-		const got = await getItemUrlsFromListing(listingUrl);
-		itemUrls = got.itemUrls;
-		usedBrowser = got.usedBrowser;
-	} catch (err) {
-		console.warn(`Listing scrape failed (${err?.message || err}). Falling back to existing events.json item IDs.`);
-		let existing = [];
+	if (!DATA_SOURCES.includes(DATA_SOURCE)) {
+		logger.error(`Unknown --data-source "${DATA_SOURCE}" (expected ${DATA_SOURCES.join(", ")}).`);
+		process.exitCode = 1;
+		return;
+	}
+	const startedAt = new Date();
+	const timings = {};
+	const sources = await loadSources(SOURCES_FILE, { company: COMPANY, flow: FLOW });
+	const adapters = createAdapters();
+	logger.info(`Data sources: ${adapters.map((a) => a.name).join(" → ")}`, { dataSources: adapters.map((a) => a.name) });
+	const browser = createBrowserSession();
+	const existing = await readExistingEvents();
+	const cache = createSyncCache(FULL_REFRESH ? emptySyncCache() : await loadSyncCache(CACHE_FILE, { log: logger }), {
+		fetchImpl: fetchWithRetry,
+		headers: HTML_HEADERS,
+	});
+	if (FULL_REFRESH) logger.info("Full refresh: ignoring the sync cache.");
+
+	const listing = { discovered: 0, hidden: 0, browserSources: 0, existingSources: 0 };
+	const listingStarted = performance.now();
+	const itemUrlsBySource = [];
+	for (const source of sources) {
+		logger.info(`Fetching items listing for ${source.label}: ${listingUrlForSource(source)}`, { sourceId: source.id });
+		let itemUrls = [];
+		let pages = 1;
+		let usedBrowser = false;
 		try {
-			existing = JSON.parse(await fs.readFile(EVENTS_FILE, "utf8"));
-			if (!Array.isArray(existing)) existing = [];
-		} catch {
-			existing = [];
+			const log = logger.child({ tag: `[${source.label}]`, sourceId: source.id });
+			({ itemUrls, pages, usedBrowser } = await getItemUrlsFromListing(source, { browser, log }));
+		} catch (err) {
+			logger.warn(`Listing scrape failed (${err?.message || err}). Falling back to existing events.json item IDs.`, {
+				sourceId: source.id,
+			});
+			listing.existingSources++;
+			const ids = eventsForSource(existing, source, sources)
+				.map((e) => itemIdFromFareharborUrl(e.url))
+				.filter(Boolean);
+			itemUrls = [...new Set(ids)].map((id) => itemUrlForSource(source, id));
+			usedBrowser = false;
 		}
-		const ids = existing
-			.filter(isFareharborEvent)
-			.map((e) => itemIdFromFareharborUrl(e.url))
-			.filter(Boolean);
-		itemUrls = [...new Set(ids)].map(
-			(id) => `https://fareharbor.com/embeds/book/${COMPANY}/items/${id}/?full-items=yes&flow=${encodeURIComponent(FLOW)}`
-		);
-		usedBrowser = false;
+		const across = pages > 1 ? ` across ${pages} listing pages` : "";
+		logger.info(`Found ${itemUrls.length} item link(s)${across}.${usedBrowser ? " (via browser render)" : ""}`, {
+			sourceId: source.id,
+			items: itemUrls.length,
+			listingPages: pages,
+			usedBrowser,
+		});
+		if (usedBrowser) listing.browserSources++;
+		itemUrlsBySource.push({ source, itemUrls });
 	}
+	timings.listingMs = performance.now() - listingStarted;
+
+	const { items: allItems, duplicates } = assignItemsToSources(itemUrlsBySource);
+	if (duplicates) logger.info(`${duplicates} item(s) appear in more than one flow; each is scraped once and listed under every one.`);
 
-	const uniqueItemUrls = itemUrls.slice(0, 50);
-	console.log(`Found ${uniqueItemUrls.length} item link(s).${usedBrowser ? " (via browser render)" : ""}`);
+	const overrides = await loadOverrides(OVERRIDES_FILE, { log: logger });
+	const items = allItems.filter(({ itemUrl }) => !isHiddenItem(itemUrl, overrides));
+	listing.discovered = allItems.length;
+	listing.hidden = allItems.length - items.length;
+	if (listing.hidden) logger.info(`Skipping ${listing.hidden} item(s) hidden by overrides.`);
 
 	let keep = [];
 	if (MERGE_EXISTING) {
-		let existing = [];
-		try {
-			existing = JSON.parse(await fs.readFile(EVENTS_FILE, "utf8"));
-			if (!Array.isArray(existing)) existing = [];
-		} catch {
-			existing = [];
-		}
-		keep = existing.filter((e) => !isFareharborEvent(e));
-		console.log(`Merging: keeping ${keep.length} non-FareHarbor event(s) from existing file.`);
+		// Manual events come back from overrides.json on every run, so don't carry the old copies.
+		keep = existing
+			.filter((e) => !isSourceEvent(e, sources) && e.source !== "manual")
+			.map((e) => ({ ...e, source: e.source || "existing" }));
+		logger.info(`Merging: keeping ${keep.length} non-FareHarbor event(s) from existing file.`);
 	} else {
-		console.log("Overwrite mode: output will match FareHarbor booking flow exactly.");
+		logger.info("Overwrite mode: output will match FareHarbor booking flow exactly.");
 	}
 	const scraped = [];
 
-	const processItems = async () => {
-		for (let i = 0; i < uniqueItemUrls.length; i++) {
-			const itemUrl = uniqueItemUrls[i];
-			console.log(`\n[${i + 1}/${uniqueItemUrls.length}] Fetching item: ${itemUrl}`);
-
-			let html = null;
-			try {
-				html = await fetchHtml(itemUrl);
-			} catch (err) {
-				console.warn(`  Skipping (fetch failed): ${err?.message || err}`);
-				continue;
-			}
-
-			let title = extractTitleFromHtml(html) || "Untitled Event";
-			let thumbnail = extractBestImageFromHtml(html, itemUrl);
-			let prices = parsePricesForAnchor(html);
-			let bodyText = html;
-			let trFromText = parseEventTimeRange(bodyText || "") || parseStartTimeAndDuration(bodyText || "");
-
-			// If static HTML misses data, use browser render fallback.
-			if (!prices || !trFromText) {
-				let dom;
+	const todayYmd = todayYmdInTimeZone(TIME_ZONE);
+	const horizonYmd = addDaysToYmd(todayYmd, LOOKAHEAD_DAYS);
+	logger.info(`Collecting availabilities from ${todayYmd} through ${horizonYmd} (${LOOKAHEAD_DAYS} days).`);
+
+	// Items run in a bounded pool; each gets its own time limit.
+	const failures = [];
+	const itemRuns = [];
+	const itemsStarted = performance.now();
+	let perItem = [];
+	try {
+		perItem = await mapWithConcurrency(
+			items,
+			CONCURRENCY,
+			async ({ itemUrl, source, sources: owners }, i) => {
+				const log = logger.child({ tag: `[${i + 1}/${items.length}]`, itemUrl });
+				log.debug(`Fetching item: ${itemUrl}`);
+				// Filled in by the adapters: which one answered, and whether it needed the browser or the cache.
+				const stats = { adapter: null, usedBrowser: false, fromCache: false };
+				const run = { itemUrl, durationMs: 0, events: 0, failure: null, ...stats };
+				itemRuns.push(run);
+				const itemStarted = performance.now();
 				try {
-					dom = await withPlaywright(async ({ context }) => {
-						return await scrapeItemViaPlaywright(context, itemUrl);
-					});
+					const context = { source, cache, browser, log, stats, fromYmd: todayYmd, toYmd: horizonYmd };
+					const events = await withTimeout(
+						(signal) => loadItemEvents(adapters, itemUrl, { ...context, signal }),
+						ITEM_TIMEOUT_MS,
+						"Item"
+					);
+					run.events = events.length;
+					const sourceIds = owners.map((s) => s.id);
+					return events.map((e) => ({ ...e, sourceId: source.id, sourceIds }));
 				} catch (err) {
-					console.warn(`  Skipping (browser fallback failed): ${err?.message || err}`);
-					// If availability exists, keep going with fallback defaults.
-					if (!prices) continue;
-				}
-
-				if (dom?.title) title = dom.title;
-				if (dom?.thumbnail) thumbnail = dom.thumbnail;
-				if (dom?.availabilityUrl && dom?.dateLabel) {
-					prices = { availabilityUrl: dom.availabilityUrl, dateLabel: dom.dateLabel };
+					run.failure = classifyFailure(err);
+					log.warn(`Skipping (${run.failure}: ${err?.message || err})`, { failure: run.failure });
+					failures.push({ itemUrl, type: run.failure, message: String(err?.message || err) });
+					return [];
+				} finally {
+					Object.assign(run, stats, { durationMs: performance.now() - itemStarted });
+					const via = [run.adapter, run.usedBrowser && "browser", run.fromCache && "cache", run.failure && "failed"]
+						.filter(Boolean)
+						.join(", ");
+					log.info(`${itemUrl}: ${run.events} event(s) in ${Math.round(run.durationMs)} ms${via ? ` (${via})` : ""}.`, run);
 				}
-				if (dom?.bodyText) bodyText = dom.bodyText;
-				trFromText = parseEventTimeRange(bodyText || "") || parseStartTimeAndDuration(bodyText || "");
-			}
-
-			if (!prices) {
-				console.warn("  No availability found; skipping.");
-				continue;
-			}
-
-			const ymd = parseDateLabelToYmd(prices.dateLabel);
-			if (!ymd) {
-				console.warn(`  Could not parse date from: ${prices.dateLabel}`);
-				continue;
-			}
-
-			const tr = trFromText;
-			let startIso;
-			let endIso;
-			if (tr) {
-				const s = to24Hour(tr.start);
-				const e = to24Hour(tr.end);
-				startIso = ymdAndTimeToIsoLocal(ymd, s.hour, s.minute);
-				endIso = ymdAndTimeToIsoLocal(ymd, e.hour, e.minute);
-			} else {
-				startIso = ymdAndTimeToIsoLocal(ymd, 10, 0);
-				endIso = ymdAndTimeToIsoLocal(ymd, 20, 0);
-			}
-
-			const availabilityUrl = normalizeFareharborUrl(prices.availabilityUrl);
-			scraped.push({
-				title,
-				start: startIso,
-				end: endIso,
-				url: availabilityUrl,
-				thumbnail: thumbnail || undefined,
-			});
-
-			await sleep(250);
-		}
-	};
+			},
+			{ delayMs: DELAY_MS }
+		);
+	} finally {
+		await browser.close();
+	}
+	timings.itemsMs = performance.now() - itemsStarted;
+	scraped.push(...applyOverrides(perItem.flat(), overrides, { timeZone: TIME_ZONE, log: logger }));
 
-	await processItems();
+	const categoryConfig = await loadCategoryConfig(CATEGORIES_FILE, { log: logger });
+	const sourceById = new Map(sources.map((s) => [s.id, s]));
+	const categoryOptions = (e) => ({ fallback: sourceById.get(e.sourceId)?.category });
 
 	// Clean + dedupe
 	const byKey = new Map();
 	for (const e of scraped) {
 		const clean = {
+			id: e.id,
 			title: e.title,
 			start: e.start,
 			end: e.end,
 			url: e.url,
+			source: "fareharbor",
+			sourceId: e.sourceId,
+			sourceIds: e.sourceIds,
 		};
+		const category = e.category || categorizeEvent(e, categoryConfig, categoryOptions(e));
+		if (category) clean.category = category;
 		if (e.thumbnail) clean.thumbnail = e.thumbnail;
+		if (e.description) clean.description = e.description;
+		if (e.prices?.length) clean.prices = e.prices;
+		if (e.soldOut) clean.soldOut = true;
+		if (Number.isFinite(e.spotsLeft)) clean.spotsLeft = e.spotsLeft;
 
 		const key = `${clean.url}::${clean.start}`;
 		if (!byKey.has(key)) byKey.set(key, clean);
 	}
 
-	const todayYmd = todayYmdInTimeZone(TIME_ZONE);
-	const out = [...keep, ...byKey.values()].filter((e) => {
-		// Keep manual kept events; filter FareHarbor by date.
-		if (keep.length && !isFareharborEvent(e)) return true;
+	const schema = await loadSchema(SCHEMA_FILE);
+	const kept = dropUnknownFields(keep.map(withEventId), schema, { log: logger, label: "kept event" });
+	const manual = dropUnknownFields(manualEvents(overrides, { log: logger }), schema, {
+		log: logger,
+		label: "manual event",
+	});
+	const combined = [
+		...kept.map((e) => withCategory(e, categoryConfig)),
+		...manual.map((e) => withCategory(e, categoryConfig, categoryOptions(e))),
+		...byKey.values(),
+	];
+	let out = combined.filter((e) => {
+		// Events kept by --merge-existing stay as they are; everything else is filtered by date.
+		if (e.source === "existing") return true;
 		const endYmd = String(e.end || e.start || "").slice(0, 10);
 		return endYmd && endYmd >= todayYmd;
 	});
 
 	out.sort((a, b) => String(a.start).localeCompare(String(b.start)));
+	out = applyTranslations(out, await loadTranslations(TRANSLATIONS_FILE, { log: logger }), { log: logger });
+
+	// firstSeen/lastChanged carry over from the last run; new or edited events get this run's time.
+	// Images are localized later, but the change check reads thumbnailSource first, so that doesn't count as a change.
+	out = stampEvents(out, existing.map(withEventId), { now: startedAt });
+
+	// Last run's copies come first: their thumbnails are already local.
+	const archive = await loadArchive(ARCHIVE_FILE, { log: logger });
+	const archived = archive ? mergeArchive(archive, [...existing.map(withEventId), ...combined], todayYmd) : null;
+
+	const report = buildSyncReport(existing.map(withEventId), out, { todayYmd, itemCount: items.length, failures });
+	logger.info(formatReportText(report, { timeZone: TIME_ZONE }), { totals: report.totals, failures: report.items.byType });
+
+	// Every --write run leaves metrics behind, rejected ones included; only successful runs get committed.
+	const writeMetrics = async (outcome) => {
+		const metrics = buildSyncMetrics({
+			startedAt,
+			outcome,
+			dataSources: adapters.map((a) => a.name),
+			listing,
+			itemRuns,
+			events: {
+				scraped: scraped.length,
+				written: outcome === "written" ? out.length : 0,
+				timeFallback: scraped.filter((e) => e.timeFallback).length,
+			},
+			report,
+			timings,
+			warnings: logger.warnings,
+		});
+		await fs.writeFile(METRICS_FILE, JSON.stringify(metrics, null, 2) + "\n", "utf8");
+		logger.info(`Wrote run metrics to ${METRICS_FILE}`, { outcome, durationMs: metrics.durationMs });
+	};
+
+	// Validate before anything is written; a dry run reports the same failures.
+	const schemaErrors = validateEvents(out, schema);
+	// --allow-empty already accepts losing every event.
+	const limits = ALLOW_EMPTY_WRITE && out.length === 0 ? { ...LIMITS, maxDropRatio: 1 } : LIMITS;
+	const { stats, problems } = checkThresholds(
+		{
+			previous: existing,
+			next: out,
+			scraped,
+			companies: sources.map((s) => s.company),
+			todayYmd,
+			items: { total: items.length, failed: failures.length },
+		},
+		limits
+	);
+	// Writing without it would drop yesterday's ended events for good.
+	if (!archive) problems.push(`${ARCHIVE_FILE} could not be read; fix it so ended events can be archived.`);
+	logger.info(
+		`Checks: ${stats.previous} → ${stats.next} FareHarbor event(s), ` +
+			`${Math.round(stats.fallbackRatio * 100)}% fallback hours, ${Math.round(stats.untitledRatio * 100)}% untitled, ` +
+			`${Math.round(stats.failureRatio * 100)}% failed items.`,
+		stats
+	);
+	if (schemaErrors.length || problems.length) {
+		for (const err of schemaErrors.slice(0, 20)) logger.error(`  schema: ${err}`);
+		if (schemaErrors.length > 20) logger.error(`  schema: …and ${schemaErrors.length - 20} more`);
+		for (const problem of problems) logger.error(`  limit: ${problem}`);
+		logger.error(`Refusing to overwrite ${EVENTS_FILE}: the run failed validation.`);
+		process.exitCode = 2;
+		if (SHOULD_WRITE) await writeMetrics("rejected");
+		return;
+	}
 
 	if (!SHOULD_WRITE) {
-		console.log(`\nDry-run: would write ${out.length} event(s) to ${EVENTS_FILE}.`);
-		console.log("First few:");
+		logger.info(`Dry-run: would write ${out.length} event(s) to ${EVENTS_FILE}.`);
+		if (archived) logger.info(`Dry-run: would archive ${archived.added} ended event(s) to ${ARCHIVE_FILE}.`);
+		logger.info("First few:");
 		for (const e of out.slice(0, 5)) {
-			console.log(`- ${e.start} ${e.title}`);
+			logger.info(`- ${e.start} ${e.title}`);
 		}
 		return;
 	}
 
 	if (!ALLOW_EMPTY_WRITE && out.length === 0) {
-		console.error(
+		logger.error(
 			`Refusing to overwrite ${EVENTS_FILE} with 0 events. (Scrape likely failed; re-run or pass --allow-empty to force.)`
 		);
 		process.exitCode = 2;
+		await writeMetrics("rejected");
 		return;
 	}
 
+	// Only a writing run that passed every check touches images/.
+	let imagesLocalized = false;
+	if (SYNC_IMAGES) {
+		const imagesStarted = performance.now();
+		try {
+			const processor = await createImageProcessor({
+				dir: IMAGES_DIR,
+				publicPath: IMAGES_PUBLIC_PATH,
+				fetchImpl: fetchWithRetry,
+			});
+			out = await localizeThumbnails(out, processor, { concurrency: CONCURRENCY, log: logger });
+			imagesLocalized = true;
+		} catch (err) {
+			logger.warn(`Skipping thumbnail resizing (${err?.message || err}); keeping remote image URLs.`);
+		}
+		timings.imagesMs = performance.now() - imagesStarted;
+	}
+
+	// Archive first: a crash in between must not leave an ended event in neither file.
+	if (archived?.added) {
+		await fs.writeFile(ARCHIVE_FILE, JSON.stringify(archived.archive, null, 2) + "\n", "utf8");
+		logger.info(`Archived ${archived.added} ended event(s) to ${ARCHIVE_FILE}`, {
+			byYear: countByYear(archived.archive),
+		});
+	}
+	const pastEvents = archived?.archive || [];
+
 	await fs.writeFile(EVENTS_FILE, JSON.stringify(out, null, 2) + "\n", "utf8");
-	console.log(`\nWrote ${out.length} event(s) to ${EVENTS_FILE}`);
+	logger.info(`Wrote ${out.length} event(s) to ${EVENTS_FILE}`);
+
+	// Saved only after a good write, so a rejected run scrapes the same items again next time.
+	await saveSyncCache(CACHE_FILE, cache.snapshot({ itemUrls: allItems.map((i) => i.itemUrl) }));
+
+	if (imagesLocalized) {
+		// Archived events keep their images.
+		const inUse = referencedImageNames([...out, ...pastEvents], IMAGES_PUBLIC_PATH);
+		const removed = await pruneImages(IMAGES_DIR, inUse);
+		if (removed) logger.info(`Removed ${removed} unused image(s) from ${IMAGES_DIR}`);
+	}
+
+	const siteConfig = await loadSiteConfig(SITE_FILE, { log: logger });
+	const site = SITE_URL ? { ...siteConfig, url: SITE_URL } : siteConfig;
+	if (!site?.url) {
+		logger.warn(
+			`No site URL in ${SITE_FILE} or SITE_URL: event pages and feeds go out without canonical or absolute links.`
+		);
+	}
+	// Not the FareHarbor company: IDs must stay under a domain the owner controls and survive reordering sources.
+	let uidDomain = siteDomain(site);
+	if (!uidDomain) {
+		uidDomain = "localhost";
+		logger.warn(`No domain or url in ${SITE_FILE} or SITE_URL: ICS UIDs and feed IDs go out under ${uidDomain}.`);
+	}
+
+	let previousIcs = "";
+	try {
+		previousIcs = await fs.readFile(ICS_FILE, "utf8");
+	} catch {
+		previousIcs = "";
+	}
+	const ics = buildIcsCalendar(out, {
+		timeZone: TIME_ZONE,
+		uidDomain,
+		previousIcs,
+		categories: categoryConfig?.categories,
+		log: logger,
+	});
+	await fs.writeFile(ICS_FILE, ics, "utf8");
+	logger.info(`Wrote ${out.length} event(s) to ${ICS_FILE}`);
+
+	// Past months come from the archive, so the calendar can page back through them.
+	const shardIndex = await writeShards(SHARDS_DIR, withArchive(out, pastEvents), { publicPath: SHARDS_PUBLIC_PATH });
+	logger.info(`Wrote ${Object.keys(shardIndex.months).length} month shard(s) to ${SHARDS_DIR}`);
+
+	const pageCount = await writeEventPages(PAGES_DIR, out, { site, publicPath: PAGES_PUBLIC_PATH, timeZone: TIME_ZONE });
+	logger.info(`Wrote ${pageCount} event page(s) and the upcoming list to ${PAGES_DIR}`);
+
+	const feedOptions = {
+		site,
+		now: startedAt,
+		days: FEED_DAYS,
+		pagesPath: PAGES_PUBLIC_PATH,
+		uidDomain,
+		timeZone: TIME_ZONE,
+	};
+	await fs.writeFile(FEED_FILE, buildAtomFeed(out, feedOptions), "utf8");
+	await fs.writeFile(JSON_FEED_FILE, JSON.stringify(buildJsonFeed(out, feedOptions), null, 2) + "\n", "utf8");
+	logger.info(`Wrote feeds of events changed in the last ${FEED_DAYS} day(s) to ${FEED_FILE} and ${JSON_FEED_FILE}`);
+
+	// Per-source files for embeds that show just one flow.
+	for (const source of sources.filter((s) => s.file)) {
+		const subset = eventsForSource(out, source, sources).map((e) => eventForSource(e, source));
+		await fs.writeFile(source.file, JSON.stringify(subset, null, 2) + "\n", "utf8");
+		logger.info(`Wrote ${subset.length} ${source.label} event(s) to ${source.file}`);
+	}
+
+	const markdown = formatReportMarkdown(report, { timeZone: TIME_ZONE });
+	await fs.writeFile(REPORT_FILE, JSON.stringify(report, null, 2) + "\n", "utf8");
+	await fs.writeFile(REPORT_MD_FILE, markdown, "utf8");
+	logger.info(`Wrote change report to ${REPORT_FILE} and ${REPORT_MD_FILE}`);
+	if (process.env.GITHUB_STEP_SUMMARY) {
+		await fs.appendFile(process.env.GITHUB_STEP_SUMMARY, markdown, "utf8");
+	}
+
+	await writeMetrics("written");
 }
 
 main().catch((err) => {
-	console.error(err);
+	logger.error(err?.stack || String(err));
 	process.exitCode = 1;
 });
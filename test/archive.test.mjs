@@ -0,0 +1,104 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+
+import { countByYear, hasEnded, loadArchive, mergeArchive, toArchived, withArchive } from "../scripts/lib/archive.mjs";
+import { loadSchema, validateEvents } from "../scripts/lib/validate.mjs";
+
+const quiet = { warn: () => {} };
+const fixture = (name) => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+function event(id, start, extra = {}) {
+	return { id, title: `Event ${id}`, start: `${start}T10:00:00-04:00`, end: `${start}T12:00:00-04:00`, ...extra };
+}
+
+describe("hasEnded", () => {
+	it("compares the end date with today", () => {
+		assert.equal(hasEnded(event("a", "2026-03-27"), "2026-03-28"), true);
+		assert.equal(hasEnded(event("a", "2026-03-28"), "2026-03-28"), false);
+		assert.equal(hasEnded({ id: "a", start: "2026-03-20T10:00:00-04:00" }, "2026-03-28"), true);
+		assert.equal(hasEnded({ id: "a" }, "2026-03-28"), false);
+	});
+});
+
+describe("toArchived", () => {
+	it("flags the event and drops its booking link and state", async () => {
+		const soldOut = JSON.parse(await fs.readFile(fixture("event-sold-out.json"), "utf8"));
+		const schema = await loadSchema(fileURLToPath(new URL("../events.schema.json", import.meta.url)));
+		assert.deepEqual(validateEvents([soldOut], schema), []);
+
+		const archived = toArchived(soldOut);
+		assert.equal(archived.archived, true);
+		assert.equal("url" in archived, false);
+		assert.equal("soldOut" in archived, false);
+		assert.equal("spotsLeft" in archived, false);
+		assert.deepEqual(archived.prices, soldOut.prices);
+		assert.deepEqual(validateEvents([archived], schema), []);
+	});
+});
+
+describe("mergeArchive", () => {
+	it("adds ended events once and never rewrites archived ones", () => {
+		const archive = [toArchived(event("old", "2025-12-01"))];
+		const { archive: merged, added } = mergeArchive(
+			archive,
+			[
+				event("old", "2025-12-01", { title: "Renamed later" }),
+				event("yesterday", "2026-03-27"),
+				event("yesterday", "2026-03-27", { title: "Second copy" }),
+				event("today", "2026-03-28"),
+			],
+			"2026-03-28"
+		);
+		assert.equal(added, 1);
+		assert.deepEqual(merged.map((e) => e.id), ["old", "yesterday"]);
+		assert.equal(merged[0].title, "Event old");
+		assert.equal(merged[1].title, "Event yesterday");
+		assert.equal(merged[1].archived, true);
+	});
+
+	it("keeps start order", () => {
+		const { archive } = mergeArchive([toArchived(event("b", "2026-02-01"))], [event("a", "2026-01-15")], "2026-03-28");
+		assert.deepEqual(archive.map((e) => e.id), ["a", "b"]);
+	});
+});
+
+describe("withArchive", () => {
+	it("lets a live event replace its archived copy", () => {
+		const archive = [toArchived(event("a", "2026-03-01")), toArchived(event("b", "2026-03-10"))];
+		const all = withArchive([event("b", "2026-04-10"), event("c", "2026-04-01")], archive);
+		assert.deepEqual(all.map((e) => [e.id, Boolean(e.archived)]), [
+			["a", true],
+			["c", false],
+			["b", false],
+		]);
+	});
+});
+
+describe("countByYear", () => {
+	it("counts archived events per year", () => {
+		assert.deepEqual(countByYear([event("a", "2025-06-01"), event("b", "2025-07-01"), event("c", "2026-01-01")]), {
+			2025: 2,
+			2026: 1,
+		});
+	});
+});
+
+describe("loadArchive", () => {
+	it("starts empty without a file and returns null for an unreadable one", async () => {
+		const dir = await fs.mkdtemp(path.join(os.tmpdir(), "archive-"));
+		try {
+			assert.deepEqual(await loadArchive(path.join(dir, "missing.json"), { log: quiet }), []);
+			const broken = path.join(dir, "archive.json");
+			await fs.writeFile(broken, "[{");
+			assert.equal(await loadArchive(broken, { log: quiet }), null);
+			await fs.writeFile(broken, JSON.stringify([event("a", "2026-01-01")]));
+			assert.deepEqual(await loadArchive(broken, { log: quiet }), [event("a", "2026-01-01")]);
+		} finally {
+			await fs.rm(dir, { recursive: true, force: true });
+		}
+	});
+});
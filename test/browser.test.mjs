@@ -0,0 +1,44 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { createBrowserSession } from "../scripts/lib/browser.mjs";
+
+function fakePlaywright() {
+	const calls = { launch: 0, contextClose: 0, browserClose: 0 };
+	const context = { close: async () => void calls.contextClose++ };
+	const browser = { newContext: async () => context, close: async () => void calls.browserClose++ };
+	const pw = {
+		chromium: {
+			launch: async () => {
+				calls.launch++;
+				return browser;
+			},
+		},
+	};
+	return { calls, context, load: async () => pw };
+}
+
+describe("createBrowserSession", () => {
+	it("launches once and shares the context between callers", async () => {
+		const { calls, context, load } = fakePlaywright();
+		const session = createBrowserSession({ load });
+		assert.equal(session.launched, false);
+
+		const got = await Promise.all([session.context(), session.context(), session.context()]);
+		assert.equal(calls.launch, 1);
+		assert.ok(got.every((c) => c === context));
+		assert.equal(session.launched, true);
+	});
+
+	it("closes the context and browser, and skips both when never launched", async () => {
+		const { calls, load } = fakePlaywright();
+		const idle = createBrowserSession({ load });
+		await idle.close();
+		assert.equal(calls.launch, 0);
+
+		const session = createBrowserSession({ load });
+		await session.context();
+		await session.close();
+		assert.deepEqual(calls, { launch: 1, contextClose: 1, browserClose: 1 });
+	});
+});
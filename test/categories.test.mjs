@@ -0,0 +1,55 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { categorizeEvent, loadCategoryConfig, withCategory } from "../scripts/lib/categories.mjs";
+
+const CONFIG = {
+	default: "park",
+	categories: {
+		sensory: { label: "Sensory-Friendly", keywords: ["sensory"] },
+		special: { label: "Special Events", keywords: ["night", "glow"] },
+		park: { label: "Park Events", keywords: [] },
+	},
+	items: { 701234: "sensory" },
+};
+
+const itemUrl = (id) => `https://fareharbor.com/embeds/book/floridarama/items/${id}/availability/1/book/`;
+
+describe("categorizeEvent", () => {
+	it("uses the item mapping before keywords", () => {
+		assert.equal(categorizeEvent({ title: "Glow Night", url: itemUrl(701234) }, CONFIG), "sensory");
+	});
+
+	it("matches whole-word keywords in the title or description", () => {
+		assert.equal(categorizeEvent({ title: "Glow Night", url: itemUrl(1) }, CONFIG), "special");
+		assert.equal(categorizeEvent({ title: "Open play", description: "A quiet, sensory-friendly hour" }, CONFIG), "sensory");
+		assert.equal(categorizeEvent({ title: "Knightly Quest" }, CONFIG), "park");
+	});
+
+	it("uses the source's default category before the file-wide default", () => {
+		assert.equal(categorizeEvent({ title: "Cake Time", url: itemUrl(1) }, CONFIG, { fallback: "special" }), "special");
+		assert.equal(categorizeEvent({ title: "Glow Night" }, CONFIG, { fallback: "sensory" }), "special");
+		assert.equal(categorizeEvent({ title: "Cake Time" }, CONFIG, { fallback: "unknown" }), "park");
+	});
+
+	it("returns null without a config", () => {
+		assert.equal(categorizeEvent({ title: "Glow Night" }, null), null);
+	});
+});
+
+describe("withCategory", () => {
+	it("keeps an existing category", () => {
+		assert.equal(withCategory({ title: "Glow Night", category: "park" }, CONFIG).category, "park");
+	});
+});
+
+describe("loadCategoryConfig", () => {
+	it("loads the checked-in categories.json", async () => {
+		const config = await loadCategoryConfig(new URL("../categories.json", import.meta.url));
+		assert.ok(config.categories[config.default]);
+	});
+
+	it("returns null for a missing file", async () => {
+		assert.equal(await loadCategoryConfig(new URL("./fixtures/missing.json", import.meta.url)), null);
+	});
+});
@@ -0,0 +1,52 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { mapWithConcurrency, sleep, withTimeout } from "../scripts/lib/concurrency.mjs";
+
+describe("mapWithConcurrency", () => {
+	it("keeps input order when tasks finish out of order", async () => {
+		const out = await mapWithConcurrency([30, 5, 15], 3, async (ms, i) => {
+			await sleep(ms);
+			return i;
+		});
+		assert.deepEqual(out, [0, 1, 2]);
+	});
+
+	it("never runs more than the limit at once", async () => {
+		let running = 0;
+		let peak = 0;
+		await mapWithConcurrency(Array.from({ length: 8 }), 2, async () => {
+			running++;
+			peak = Math.max(peak, running);
+			await sleep(5);
+			running--;
+		});
+		assert.equal(peak, 2);
+	});
+
+	it("handles an empty list", async () => {
+		assert.deepEqual(await mapWithConcurrency([], 4, async () => 1), []);
+	});
+});
+
+describe("withTimeout", () => {
+	it("returns the result when work finishes in time", async () => {
+		assert.equal(await withTimeout(async () => "ok", 100, "Task"), "ok");
+	});
+
+	it("rejects with a TimeoutError and aborts the signal", async () => {
+		let seen;
+		await assert.rejects(
+			withTimeout(
+				(signal) => {
+					seen = signal;
+					return new Promise(() => {});
+				},
+				20,
+				"Item"
+			),
+			{ name: "TimeoutError", message: "Item timed out after 20 ms" }
+		);
+		assert.equal(seen.aborted, true);
+	});
+});
@@ -0,0 +1,99 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import { after, before, describe, it } from "node:test";
+
+import { bookingUrl, createFareharborApiAdapter, eventsFromApi } from "../scripts/lib/fareharbor-api.mjs";
+
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/api/${name}`, import.meta.url), "utf8");
+
+const SOURCE = { id: "public", company: "floridarama", flow: "1438415" };
+const TZ = "America/New_York";
+const ITEM_URL = "https://fareharbor.com/embeds/book/floridarama/items/639860/?full-items=yes&flow=1438415";
+
+// Serves the recorded responses and remembers what was asked for.
+const ROUTES = {
+	"/companies/floridarama/items/": () => fixture("items.json"),
+	"/companies/floridarama/items/639860/availabilities/date-range/2026-03-01/2026-11-30/": () =>
+		fixture("availabilities-639860.json"),
+	"/companies/floridarama/items/701234/availabilities/date-range/2026-03-01/2026-11-30/": () => '{"availabilities":[]}',
+};
+const requests = [];
+let server;
+let baseUrl;
+
+before(async () => {
+	server = http.createServer((req, res) => {
+		requests.push({ url: req.url, app: req.headers["x-fareharbor-api-app"], user: req.headers["x-fareharbor-api-user"] });
+		const route = ROUTES[req.url];
+		res.writeHead(route ? 200 : 404, { "content-type": "application/json" });
+		res.end(route ? route() : '{"error":"not found"}');
+	});
+	await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+	baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+const window = { source: SOURCE, fromYmd: "2026-03-01", toYmd: "2026-11-30" };
+
+describe("createFareharborApiAdapter", () => {
+	it("reads items and availabilities into events", async () => {
+		requests.length = 0;
+		const api = createFareharborApiAdapter({ baseUrl, appKey: "app-key", userKey: "user-key", timeZone: TZ });
+		const events = await api.itemEvents(ITEM_URL, window);
+
+		assert.deepEqual(events[0], {
+			id: "fh-639860-1770373768",
+			title: "Sensory Saturdays",
+			start: "2026-03-28T10:00:00-04:00",
+			end: "2026-03-28T12:30:00-04:00",
+			url: "https://fareharbor.com/embeds/book/floridarama/items/639860/availability/1770373768/book/?full-items=yes&flow=1438415",
+			thumbnail: "https://cdn.example.com/sensory.jpg",
+			description: "A quieter morning at the park with lower music & dimmed lights.",
+			prices: [
+				{ type: "Child", min: 15, max: 15 },
+				{ type: "Adult", min: 5, max: 5 },
+			],
+			soldOut: undefined,
+			spotsLeft: 12,
+		});
+		assert.equal(events[1].start, "2026-11-01T21:00:00-05:00");
+		assert.equal(events[1].end, "2026-11-02T00:30:00-05:00");
+		assert.equal(events[1].soldOut, true);
+
+		assert.ok(requests.every((r) => r.app === "app-key" && r.user === "user-key"));
+	});
+
+	it("fetches the company's items list once", async () => {
+		requests.length = 0;
+		const api = createFareharborApiAdapter({ baseUrl, timeZone: TZ });
+		await api.itemEvents(ITEM_URL, window);
+		await api.itemEvents(ITEM_URL.replace("639860", "701234"), window);
+		assert.equal(requests.filter((r) => r.url === "/companies/floridarama/items/").length, 1);
+	});
+
+	it("throws so the sync can fall back to scraping", async () => {
+		const api = createFareharborApiAdapter({ baseUrl, timeZone: TZ });
+		await assert.rejects(api.itemEvents(ITEM_URL.replace("639860", "999"), window), /Item 999 not in/);
+		await assert.rejects(
+			api.itemEvents(ITEM_URL, { ...window, source: { ...SOURCE, company: "nobody" } }),
+			/HTTP 404/
+		);
+	});
+});
+
+describe("eventsFromApi", () => {
+	it("skips availabilities without a usable start", () => {
+		const item = { pk: 1, name: "Open Play" };
+		const events = eventsFromApi(item, [{ pk: 2, start_at: "soon" }], { ...SOURCE, timeZone: TZ });
+		assert.deepEqual(events, []);
+	});
+
+	it("builds booking links with and without a flow", () => {
+		assert.equal(
+			bookingUrl("floridarama", null, 1, 2),
+			"https://fareharbor.com/embeds/book/floridarama/items/1/availability/2/book/?full-items=yes"
+		);
+	});
+});
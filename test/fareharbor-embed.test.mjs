@@ -0,0 +1,96 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import { after, before, describe, it } from "node:test";
+
+import { calendarAvailabilities, createFareharborEmbedAdapter } from "../scripts/lib/fareharbor-embed.mjs";
+
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/embed/${name}`, import.meta.url), "utf8");
+
+const SOURCE = { id: "public", company: "floridarama", flow: "1438415" };
+const TZ = "America/New_York";
+const ITEM_URL = "https://fareharbor.com/embeds/book/floridarama/items/639860/?full-items=yes&flow=1438415";
+const QUERY = "?allow_grouped=yes&bookable_only=no&flow=1438415";
+
+// Serves the recorded responses and remembers what was asked for.
+const ROUTES = {
+	[`/companies/floridarama/items/639860/${QUERY}`]: () => fixture("item-639860.json"),
+	[`/companies/floridarama/items/639860/calendar/2026/03/${QUERY}`]: () => fixture("calendar-639860-2026-03.json"),
+	[`/companies/floridarama/items/639860/calendar/2026/04/${QUERY}`]: () => fixture("calendar-639860-2026-04.json"),
+	[`/companies/floridarama/items/701234/${QUERY}`]: () => '{"item":null}',
+};
+const requests = [];
+let server;
+let baseUrl;
+
+before(async () => {
+	server = http.createServer((req, res) => {
+		requests.push({ url: req.url, accept: req.headers.accept });
+		const route = ROUTES[req.url];
+		res.writeHead(route ? 200 : 404, { "content-type": "application/json" });
+		res.end(route ? route() : '{"error":"not found"}');
+	});
+	await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+	baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+const window = { source: SOURCE, fromYmd: "2026-03-20", toYmd: "2026-04-30" };
+
+describe("createFareharborEmbedAdapter", () => {
+	it("reads the item and each month's calendar into events, without keys", async () => {
+		requests.length = 0;
+		const embed = createFareharborEmbedAdapter({ baseUrl, timeZone: TZ });
+		const events = await embed.itemEvents(ITEM_URL, window);
+
+		assert.deepEqual(
+			events.map((e) => e.id),
+			["fh-639860-1770373768", "fh-639860-1770373770", "fh-639860-1770373771"]
+		);
+		assert.deepEqual(events[0], {
+			id: "fh-639860-1770373768",
+			title: "Sensory Saturdays",
+			start: "2026-03-28T10:00:00-04:00",
+			end: "2026-03-28T12:30:00-04:00",
+			url: "https://fareharbor.com/embeds/book/floridarama/items/639860/availability/1770373768/book/?full-items=yes&flow=1438415",
+			thumbnail: "https://cdn.example.com/sensory.jpg",
+			description: "A quieter morning at the park with lower music & dimmed lights.",
+			// No rates on the calendar record: the item's customer types.
+			prices: [
+				{ type: "Child", min: 15, max: 15 },
+				{ type: "Adult", min: 5, max: 5 },
+			],
+			soldOut: undefined,
+			spotsLeft: 12,
+		});
+		assert.equal(events[1].soldOut, true);
+		assert.deepEqual(events[2].prices, [{ type: "Child", min: 18, max: 18 }]);
+
+		assert.equal(requests.length, 3);
+		assert.ok(requests.every((r) => r.accept === "application/json"));
+	});
+
+	it("keeps only the sync window", async () => {
+		const embed = createFareharborEmbedAdapter({ baseUrl, timeZone: TZ });
+		const events = await embed.itemEvents(ITEM_URL, { ...window, fromYmd: "2026-04-01", toYmd: "2026-04-20" });
+		assert.deepEqual(events.map((e) => e.id), ["fh-639860-1770373770"]);
+	});
+
+	it("throws so the sync can fall back to scraping", async () => {
+		const embed = createFareharborEmbedAdapter({ baseUrl, timeZone: TZ });
+		await assert.rejects(embed.itemEvents(ITEM_URL.replace("639860", "701234"), window), {
+			name: "ParseError",
+		});
+		await assert.rejects(embed.itemEvents(ITEM_URL.replace("639860", "999"), window), /HTTP 404/);
+	});
+});
+
+describe("calendarAvailabilities", () => {
+	it("tolerates missing weeks and days", () => {
+		assert.deepEqual(calendarAvailabilities({}), []);
+		assert.deepEqual(calendarAvailabilities({ calendar: { weeks: [{}, { days: [{ availabilities: [{ pk: 1 }] }] }] } }), [
+			{ pk: 1 },
+		]);
+	});
+});
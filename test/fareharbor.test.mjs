@@ -0,0 +1,41 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+	availabilityIdFromUrl,
+	isFareharborEvent,
+	itemCalendarUrl,
+	itemIdFromFareharborUrl,
+	withEventId,
+} from "../scripts/lib/fareharbor.mjs";
+
+const BOOK_URL = "https://fareharbor.com/embeds/book/floridarama/items/639860/availability/1770373768/book/?flow=1438415";
+
+describe("FareHarbor URL helpers", () => {
+	it("pulls item and availability IDs", () => {
+		assert.equal(itemIdFromFareharborUrl(BOOK_URL), "639860");
+		assert.equal(availabilityIdFromUrl(BOOK_URL), "1770373768");
+	});
+
+	it("builds the month calendar URL and keeps the query", () => {
+		assert.equal(
+			itemCalendarUrl("https://fareharbor.com/embeds/book/floridarama/items/639860/?full-items=yes&flow=1438415", 2026, 4),
+			"https://fareharbor.com/embeds/book/floridarama/items/639860/calendar/2026/04/?full-items=yes&flow=1438415"
+		);
+	});
+
+	it("only treats this company's booking links as FareHarbor events", () => {
+		assert.equal(isFareharborEvent({ url: BOOK_URL }, "floridarama"), true);
+		assert.equal(isFareharborEvent({ url: BOOK_URL }, "someoneelse"), false);
+		assert.equal(isFareharborEvent({ url: "not a url" }, "floridarama"), false);
+	});
+});
+
+describe("withEventId", () => {
+	it("gives manual events a stable hashed id", () => {
+		const e = { title: "Staff party", start: "2026-05-01T18:00:00-04:00" };
+		assert.match(withEventId(e).id, /^ev-[0-9a-f]{12}$/);
+		assert.equal(withEventId(e).id, withEventId({ ...e }).id);
+		assert.equal(withEventId({ id: "keep-me" }).id, "keep-me");
+	});
+});
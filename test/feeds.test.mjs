@@ -0,0 +1,127 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { buildAtomFeed, buildJsonFeed, imageMimeType, recentEvents, stampEvents } from "../scripts/lib/feeds.mjs";
+
+const TZ = "America/New_York";
+const now = new Date("2026-03-20T08:15:00.123Z");
+const site = { name: "FloridaRAMA", url: "https://example.github.io/calendar/" };
+const options = { site, now, days: 14, uidDomain: "events.floridarama.com", timeZone: TZ };
+
+function event(id, extra = {}) {
+	return {
+		id,
+		title: `Event ${id}`,
+		start: "2026-03-28T10:00:00-04:00",
+		end: "2026-03-28T12:00:00-04:00",
+		url: `https://fareharbor.com/embeds/book/floridarama/items/1/availability/${id}/book/`,
+		source: "fareharbor",
+		...extra,
+	};
+}
+
+describe("stampEvents", () => {
+	it("keeps firstSeen, and moves lastChanged only when readers would see a difference", () => {
+		const old = "2026-03-01T08:00:00Z";
+		const previous = [
+			event("same", { firstSeen: old, lastChanged: old, spotsLeft: 9 }),
+			event("renamed", { firstSeen: old, lastChanged: old }),
+		];
+		const stamped = stampEvents(
+			[event("same", { spotsLeft: 2, soldOut: true }), event("renamed", { title: "New name" }), event("new")],
+			previous,
+			{ now }
+		);
+		assert.deepEqual(
+			stamped.map((e) => [e.id, e.firstSeen, e.lastChanged]),
+			[
+				["same", old, old],
+				["renamed", old, "2026-03-20T08:15:00Z"],
+				["new", "2026-03-20T08:15:00Z", "2026-03-20T08:15:00Z"],
+			]
+		);
+	});
+});
+
+describe("recentEvents", () => {
+	it("keeps the last days' changes, newest first", () => {
+		const events = [
+			event("a", { lastChanged: "2026-03-10T08:00:00Z" }),
+			event("b", { lastChanged: "2026-03-19T08:00:00Z" }),
+			event("c", { lastChanged: "2026-02-01T08:00:00Z" }),
+			event("d"),
+		];
+		assert.deepEqual(recentEvents(events, { now, days: 14 }).map((e) => e.id), ["b", "a"]);
+		assert.deepEqual(recentEvents(events, { now, days: 14, limit: 1 }).map((e) => e.id), ["b"]);
+	});
+});
+
+describe("imageMimeType", () => {
+	it("reads the extension or a format parameter", () => {
+		assert.equal(imageMimeType("images/glow-640.webp"), "image/webp");
+		assert.equal(imageMimeType("https://cdn.example.com/x/convert?format=webp&w=1000"), "image/webp");
+		assert.equal(imageMimeType("https://cdn.example.com/photo.PNG"), "image/png");
+		assert.equal(imageMimeType("https://cdn.example.com/abc"), "image/jpeg");
+	});
+});
+
+const events = [
+	event("1770373768", {
+		title: "Glow Night & Games",
+		thumbnail: "images/glow-640.webp",
+		description: "Blacklight games.",
+		prices: [{ type: "Adult", min: 15, max: 15 }],
+		firstSeen: "2026-03-18T08:00:00Z",
+		lastChanged: "2026-03-19T08:00:00Z",
+	}),
+	event("old", { firstSeen: "2026-01-01T08:00:00Z", lastChanged: "2026-01-01T08:00:00Z" }),
+];
+
+describe("buildJsonFeed", () => {
+	it("lists recent events with their page, booking link and image attachment", () => {
+		const feed = buildJsonFeed(events, options);
+		assert.equal(feed.version, "https://jsonfeed.org/version/1.1");
+		assert.equal(feed.feed_url, "https://example.github.io/calendar/feed.json");
+		assert.equal(feed.items.length, 1);
+		const [item] = feed.items;
+		assert.equal(item.id, "tag:events.floridarama.com,2026:1770373768");
+		assert.equal(item.url, "https://example.github.io/calendar/pages/1770373768.html");
+		assert.equal(item.external_url, events[0].url);
+		assert.equal(item.content_text, "Saturday, March 28, 2026 · 10:00 AM – 12:00 PM\n\nFrom $15\n\nBlacklight games.");
+		assert.deepEqual(item.attachments, [
+			{ url: "https://example.github.io/calendar/images/glow-640.webp", mime_type: "image/webp" },
+		]);
+		assert.equal(item.date_published, "2026-03-18T08:00:00Z");
+		assert.equal(item.date_modified, "2026-03-19T08:00:00Z");
+	});
+
+	it("falls back to the booking page without a site address", () => {
+		const feed = buildJsonFeed(events, { ...options, site: null });
+		assert.equal(feed.items[0].url, events[0].url);
+		assert.equal("external_url" in feed.items[0], false);
+		assert.equal("feed_url" in feed, false);
+		assert.equal("image" in feed.items[0], false);
+	});
+});
+
+describe("buildAtomFeed", () => {
+	it("writes escaped entries with an image enclosure, dated by the newest change", () => {
+		const xml = buildAtomFeed(events, options);
+		assert.match(xml, /^<\?xml version="1\.0" encoding="utf-8"\?>\n<feed xmlns="http:\/\/www\.w3\.org\/2005\/Atom">/);
+		assert.match(xml, /\n {2}<updated>2026-03-19T08:00:00Z<\/updated>/);
+		assert.match(xml, /\n {2}<id>tag:events\.floridarama\.com,2026:feed<\/id>/);
+		assert.match(xml, /<id>tag:events\.floridarama\.com,2026:1770373768<\/id>/);
+		assert.equal(xml.match(/<entry>/g).length, 1);
+		assert.match(xml, /<title>Glow Night &amp; Games<\/title>/);
+		assert.match(xml, /<published>2026-03-18T08:00:00Z<\/published>/);
+		assert.match(
+			xml,
+			/<link rel="enclosure" type="image\/webp" href="https:\/\/example\.github\.io\/calendar\/images\/glow-640\.webp" \/>/
+		);
+		assert.match(xml, /<link rel="self" type="application\/atom\+xml" href="https:\/\/example\.github\.io\/calendar\/feed\.xml" \/>/);
+	});
+
+	it("stays the same between runs when nothing changed", () => {
+		assert.equal(buildAtomFeed(events, options), buildAtomFeed(events, { ...options, now: new Date("2026-03-21T08:00:00Z") }));
+	});
+});
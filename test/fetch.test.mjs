@@ -0,0 +1,140 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+	backoffDelay,
+	classifyFailure,
+	createFetcher,
+	httpError,
+	parseError,
+	parseRetryAfter,
+} from "../scripts/lib/fetch.mjs";
+
+const quiet = { warn: () => {} };
+
+// Plays back one response (or thrown error) per call and records the pauses between them.
+function scripted(steps) {
+	const calls = [];
+	const waits = [];
+	const fetchImpl = async (url, init) => {
+		calls.push({ url, init });
+		const step = steps[calls.length - 1];
+		if (step instanceof Error) throw step;
+		return new Response(step.body ?? "ok", { status: step.status, headers: step.headers });
+	};
+	const wait = async (ms) => waits.push(ms);
+	return { fetchImpl, wait, calls, waits };
+}
+
+describe("createFetcher", () => {
+	it("retries server errors and network failures, then succeeds", async () => {
+		const s = scripted([{ status: 503 }, new TypeError("fetch failed"), { status: 200, body: "<h1>ok</h1>" }]);
+		const fetchWithRetry = createFetcher({ ...s, retries: 3, random: () => 0, log: quiet });
+		const res = await fetchWithRetry("https://example.com/");
+		assert.equal(await res.text(), "<h1>ok</h1>");
+		assert.equal(s.calls.length, 3);
+		// Equal jitter with random() = 0: half of 500 * 2^attempt.
+		assert.deepEqual(s.waits, [250, 500]);
+	});
+
+	it("reports retries to the logger passed with the request", async () => {
+		const s = scripted([{ status: 503 }, { status: 200 }]);
+		const itemWarnings = [];
+		const fetchWithRetry = createFetcher({ ...s, random: () => 0, log: { warn: () => assert.fail("root logger") } });
+		await fetchWithRetry("https://example.com/", { log: { warn: (msg) => itemWarnings.push(msg) } });
+		assert.deepEqual(itemWarnings, ["HTTP 503 for https://example.com/; retry 1/3 in 250 ms."]);
+		assert.equal("log" in s.calls[0].init, false);
+	});
+
+	it("waits at least as long as Retry-After asks", async () => {
+		const s = scripted([{ status: 429, headers: { "retry-after": "3" } }, { status: 200 }]);
+		const fetchWithRetry = createFetcher({ ...s, random: () => 0, log: quiet });
+		await fetchWithRetry("https://example.com/");
+		assert.deepEqual(s.waits, [3000]);
+	});
+
+	it("gives up right away when Retry-After is longer than it will wait", async () => {
+		const s = scripted([{ status: 429, headers: { "retry-after": "3600" } }]);
+		const fetchWithRetry = createFetcher({ ...s, maxDelayMs: 10_000, log: quiet });
+		assert.equal((await fetchWithRetry("https://example.com/")).status, 429);
+		assert.equal(s.calls.length, 1);
+	});
+
+	it("returns the last response once retries run out and never retries a 404", async () => {
+		const busy = scripted([{ status: 502 }, { status: 502 }, { status: 502 }]);
+		const res = await createFetcher({ ...busy, retries: 2, log: quiet })("https://example.com/");
+		assert.equal(res.status, 502);
+		assert.equal(busy.calls.length, 3);
+
+		const missing = scripted([{ status: 404 }]);
+		assert.equal((await createFetcher({ ...missing, log: quiet })("https://example.com/")).status, 404);
+		assert.equal(missing.calls.length, 1);
+	});
+
+	it("throws the network error once retries run out", async () => {
+		const s = scripted([new TypeError("fetch failed"), new TypeError("fetch failed")]);
+		await assert.rejects(createFetcher({ ...s, retries: 1, log: quiet })("https://example.com/"), /fetch failed/);
+	});
+
+	it("stops when the caller's signal is aborted", async () => {
+		const controller = new AbortController();
+		const s = scripted([]);
+		s.fetchImpl = async (url, init) => {
+			s.calls.push(url);
+			controller.abort();
+			init.signal.throwIfAborted();
+		};
+		const fetchWithRetry = createFetcher({ ...s, log: quiet });
+		await assert.rejects(fetchWithRetry("https://example.com/", { signal: controller.signal }));
+		assert.equal(s.calls.length, 1);
+	});
+
+	it("times out a hanging attempt", async () => {
+		// AbortSignal.timeout doesn't keep the process alive on its own; a real request would.
+		const fetchImpl = (url, { signal }) =>
+			new Promise((_, reject) => {
+				const pending = setTimeout(() => {}, 1000);
+				signal.addEventListener("abort", () => {
+					clearTimeout(pending);
+					reject(signal.reason);
+				});
+			});
+		const fetchWithRetry = createFetcher({ fetchImpl, retries: 0, timeoutMs: 20, log: quiet });
+		await assert.rejects(fetchWithRetry("https://example.com/"), (err) => classifyFailure(err) === "timeout");
+	});
+});
+
+describe("parseRetryAfter", () => {
+	it("reads seconds and HTTP dates", () => {
+		const now = Date.parse("2026-03-28T10:00:00Z");
+		assert.equal(parseRetryAfter("120", now), 120_000);
+		assert.equal(parseRetryAfter("Sat, 28 Mar 2026 10:00:30 GMT", now), 30_000);
+		assert.equal(parseRetryAfter("Sat, 28 Mar 2026 09:00:00 GMT", now), 0);
+		assert.equal(parseRetryAfter(null, now), null);
+		assert.equal(parseRetryAfter("soon", now), null);
+	});
+});
+
+describe("backoffDelay", () => {
+	it("doubles per attempt up to the cap", () => {
+		const max = { random: () => 1 };
+		assert.deepEqual([0, 1, 2, 3].map((a) => backoffDelay(a, max)), [500, 1000, 2000, 4000]);
+		assert.equal(backoffDelay(20, { ...max, maxMs: 30_000 }), 30_000);
+		assert.equal(backoffDelay(2, { random: () => 0 }), 1000);
+	});
+});
+
+describe("classifyFailure", () => {
+	const status = (s) => httpError({ status: s }, "https://example.com/");
+
+	it("sorts errors into failure types", () => {
+		assert.equal(classifyFailure(status(403)), "blocked");
+		assert.equal(classifyFailure(status(429)), "blocked");
+		assert.equal(classifyFailure(status(404)), "notFound");
+		assert.equal(classifyFailure(parseError("no title")), "parse");
+		assert.equal(classifyFailure(new SyntaxError("Unexpected token <")), "parse");
+		assert.equal(classifyFailure(Object.assign(new Error("Item timed out"), { name: "TimeoutError" })), "timeout");
+		assert.equal(classifyFailure(status(500)), "error");
+		assert.equal(classifyFailure(new TypeError("fetch failed")), "error");
+	});
+});
@@ -0,0 +1,13 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { formatLowestPrice, formatPriceFrom } from "../scripts/lib/format.mjs";
+
+describe("formatPriceFrom", () => {
+	it("formats the cheapest price", () => {
+		assert.equal(formatPriceFrom([{ min: 12 }, { min: 10.5 }]), "From $10.50");
+		assert.equal(formatLowestPrice([{ min: 15, max: 20 }, { min: null }]), "$15");
+		assert.equal(formatPriceFrom([]), null);
+		assert.equal(formatLowestPrice(undefined), null);
+	});
+});
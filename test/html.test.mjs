@@ -0,0 +1,166 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { describe, it } from "node:test";
+
+import {
+	decodeHtmlEntities,
+	extractBestImageFromHtml,
+	extractDescriptionFromHtml,
+	extractItemUrlsFromItemsListing,
+	extractNextPageUrl,
+	extractTitleFromHtml,
+	htmlToText,
+	parseAvailabilityAnchors,
+	parseAvailabilityState,
+	parsePricesForAnchor,
+	parsePricesFromText,
+} from "../scripts/lib/html.mjs";
+
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+
+const ITEM_URL = "https://fareharbor.com/embeds/book/floridarama/items/639860/?full-items=yes&flow=1438415";
+
+describe("decodeHtmlEntities", () => {
+	it("decodes numeric and named entities and collapses whitespace", () => {
+		assert.equal(decodeHtmlEntities("Parents&#39;  Night &amp;\n&#x2014; Fun&nbsp;&ndash;"), "Parents' Night & — Fun –");
+	});
+});
+
+describe("extractTitleFromHtml", () => {
+	it("prefers the h1 and strips inner tags", () => {
+		assert.equal(extractTitleFromHtml(fixture("item-static.html")), "Sensory Saturdays");
+	});
+
+	it("falls back to og:title when there is no h1", () => {
+		assert.equal(extractTitleFromHtml(fixture("item-template.html")), "Glow Night");
+	});
+
+	it("decodes entities in the title", () => {
+		assert.equal(extractTitleFromHtml(fixture("item-edge-cases.html")), "Parents' Night Out & Movie");
+	});
+});
+
+describe("extractBestImageFromHtml", () => {
+	it("uses the JSON-LD image over the generic og:image", () => {
+		assert.equal(
+			extractBestImageFromHtml(fixture("item-static.html"), ITEM_URL),
+			"https://cdn.filestackcontent.com/wJrCvHSe7M3hhzHuSQQO"
+		);
+	});
+
+	it("resolves relative <img> candidates against the page URL", () => {
+		assert.equal(
+			extractBestImageFromHtml(fixture("item-edge-cases.html"), ITEM_URL),
+			"https://fareharbor.com/static/logo.png"
+		);
+	});
+
+	it("returns the generic og:image only as a last resort", () => {
+		assert.equal(
+			extractBestImageFromHtml(fixture("item-template.html"), ITEM_URL),
+			"https://marketing.fareharbor.com/wp-content/uploads/fh-og.png"
+		);
+	});
+});
+
+describe("extractDescriptionFromHtml", () => {
+	it("reads og:description", () => {
+		assert.equal(
+			extractDescriptionFromHtml(fixture("item-static.html")),
+			"A calm, low-sensory morning at the park with dimmed lights & quieter music."
+		);
+	});
+
+	it("ignores FareHarbor boilerplate", () => {
+		assert.equal(extractDescriptionFromHtml(fixture("item-template.html")), null);
+	});
+});
+
+describe("parsePricesForAnchor", () => {
+	it("finds the availability link and date label", () => {
+		assert.deepEqual(parsePricesForAnchor(fixture("item-static.html")), {
+			availabilityUrl: "/embeds/book/floridarama/items/639860/availability/1770373768/book/?full-items=yes&flow=1438415",
+			dateLabel: "Saturday, March 28, 2026",
+		});
+	});
+
+	it("returns null on client-rendered pages", () => {
+		assert.equal(parsePricesForAnchor(fixture("item-template.html")), null);
+	});
+});
+
+describe("parsePricesFromText", () => {
+	it("reads one price range per customer type and skips totals", () => {
+		assert.deepEqual(parsePricesFromText(fixture("item-static.html")), [
+			{ type: "Child (2-12)", min: 15, max: 15 },
+			{ type: "Adult", min: 5, max: 7.5 },
+		]);
+	});
+
+	it("returns nothing without a Prices for block", () => {
+		assert.deepEqual(parsePricesFromText(fixture("item-template.html")), []);
+	});
+});
+
+describe("parseAvailabilityAnchors", () => {
+	it("collects every availability once, with aria-label and sold-out class in the label", () => {
+		const anchors = parseAvailabilityAnchors(fixture("calendar-month.html"));
+		assert.deepEqual(
+			anchors.map((a) => a.availabilityId),
+			["1770400001", "1770400002", "1770400003"]
+		);
+		assert.equal(anchors[0].dateLabel, "Saturday, April 4, 2026 10:00am - 12:30pm 10:00am 5 spots left");
+		assert.equal(anchors[1].dateLabel, "Saturday, April 11, 2026 10:00am Sold out");
+		assert.equal(anchors[2].dateLabel, "Saturday, April 18, 2026 Noon – 2pm");
+	});
+});
+
+describe("parseAvailabilityState", () => {
+	it("detects sold out and remaining spots", () => {
+		assert.deepEqual(parseAvailabilityState("10:00am Sold out"), { soldOut: true, spotsLeft: 0 });
+		assert.deepEqual(parseAvailabilityState("10:00am 5 spots left"), { soldOut: false, spotsLeft: 5 });
+		assert.deepEqual(parseAvailabilityState("2 left"), { soldOut: false, spotsLeft: 2 });
+	});
+
+	it("does not mistake a year for capacity", () => {
+		assert.deepEqual(parseAvailabilityState("March 28, 2026 Available"), { soldOut: false, spotsLeft: null });
+	});
+});
+
+describe("extractItemUrlsFromItemsListing", () => {
+	it("finds absolute and relative item links", () => {
+		const urls = extractItemUrlsFromItemsListing(fixture("listing.html"));
+		assert.deepEqual(urls.map((u) => u.match(/\/items\/(\d+)/)[1]).sort(), ["639860", "701234"]);
+	});
+});
+
+describe("extractNextPageUrl", () => {
+	const LISTING_URL = "https://fareharbor.com/embeds/book/floridarama/items/?flow=1438415&full-items=yes";
+
+	it("follows numbered pages of the same listing", () => {
+		const html = fixture("listing-paged.html");
+		assert.equal(new URL(extractNextPageUrl(html, LISTING_URL)).searchParams.get("page"), "2");
+		assert.equal(new URL(extractNextPageUrl(html, `${LISTING_URL}&page=2`)).searchParams.get("page"), "3");
+		assert.equal(extractNextPageUrl(html, `${LISTING_URL}&page=3`), null);
+	});
+
+	it("prefers a rel=next link", () => {
+		const html = '<link rel="next" href="/embeds/book/floridarama/items/?cursor=abc&amp;flow=1438415">';
+		assert.equal(
+			extractNextPageUrl(html, LISTING_URL),
+			"https://fareharbor.com/embeds/book/floridarama/items/?cursor=abc&flow=1438415"
+		);
+	});
+
+	it("returns null for a single-page listing", () => {
+		assert.equal(extractNextPageUrl(fixture("listing.html"), LISTING_URL), null);
+	});
+});
+
+describe("htmlToText", () => {
+	it("drops scripts and tags", () => {
+		const text = htmlToText(fixture("item-static.html"));
+		assert.ok(!text.includes("schema.org"));
+		assert.match(text, /Event is 10am – 12:30pm\./);
+	});
+});
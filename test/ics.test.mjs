@@ -0,0 +1,76 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { buildIcsCalendar, escapeIcsText, foldIcsLine } from "../scripts/lib/ics.mjs";
+
+const EVENT = {
+	id: "fh-639860-1770373768",
+	title: "Sensory Saturdays",
+	start: "2026-03-28T10:00:00-04:00",
+	end: "2026-03-28T12:30:00-04:00",
+	url: "https://fareharbor.com/embeds/book/floridarama/items/639860/availability/1770373768/book/",
+	category: "sensory",
+	prices: [{ type: "Child", min: 15, max: 15 }],
+};
+
+const build = (events, opts = {}) =>
+	buildIcsCalendar(events, {
+		timeZone: "America/New_York",
+		uidDomain: "events.floridarama.com",
+		now: new Date("2026-10-19T12:00:00Z"),
+		...opts,
+	});
+
+const unfold = (ics) => ics.replaceAll(/\r\n[ \t]/g, "");
+
+describe("buildIcsCalendar", () => {
+	it("writes CRLF lines with a VTIMEZONE and zoned times", () => {
+		const ics = build([EVENT], { categories: { sensory: { label: "Sensory-Friendly" } } });
+		assert.ok(ics.startsWith("BEGIN:VCALENDAR\r\n"));
+		assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+		assert.ok(!/[^\r]\n/.test(ics));
+
+		const lines = unfold(ics).split("\r\n");
+		assert.ok(lines.includes("TZID:America/New_York"));
+		assert.ok(lines.includes("UID:fh-639860-1770373768@events.floridarama.com"));
+		assert.ok(lines.includes("DTSTART;TZID=America/New_York:20260328T100000"));
+		assert.ok(lines.includes("DTEND;TZID=America/New_York:20260328T123000"));
+		assert.ok(lines.includes("CATEGORIES:Sensory-Friendly"));
+		assert.ok(lines.includes(`URL:${EVENT.url}`));
+		assert.ok(lines.some((l) => l.startsWith("DESCRIPTION:From $15")));
+	});
+
+	it("keeps DTSTAMP for unchanged events between runs", () => {
+		const first = build([EVENT]);
+		const second = build([EVENT], { previousIcs: first, now: new Date("2027-01-01T00:00:00Z") });
+		assert.equal(second, first);
+
+		const changed = build([{ ...EVENT, title: "Sensory Sundays" }], { previousIcs: first, now: new Date("2027-01-01T00:00:00Z") });
+		assert.match(changed, /DTSTAMP:20270101T000000Z/);
+	});
+
+	it("attaches the original image URL rather than a local path", () => {
+		const local = { ...EVENT, thumbnail: "images/abc-640.webp", thumbnailSource: "https://cdn.example.com/hero.jpg" };
+		assert.match(unfold(build([local])), /\r\nATTACH:https:\/\/cdn\.example\.com\/hero\.jpg\r\n/);
+		assert.doesNotMatch(build([{ ...EVENT, thumbnail: "images/placeholder.svg" }]), /ATTACH/);
+	});
+
+	it("pins offset times to UTC when the zone has no VTIMEZONE", () => {
+		const ics = build([EVENT], { timeZone: "Europe/Lisbon" });
+		assert.match(ics, /DTSTART:20260328T140000Z/);
+	});
+});
+
+describe("ICS text helpers", () => {
+	it("escapes special characters", () => {
+		assert.equal(escapeIcsText("a;b,c\\d\ne"), "a\\;b\\,c\\\\d\\ne");
+	});
+
+	it("folds long lines at 75 octets without splitting characters", () => {
+		const folded = foldIcsLine(`SUMMARY:${"é".repeat(60)}`);
+		for (const line of folded.split("\r\n")) {
+			assert.ok(Buffer.byteLength(line, "utf8") <= 75);
+		}
+		assert.equal(folded.replaceAll("\r\n ", ""), `SUMMARY:${"é".repeat(60)}`);
+	});
+});
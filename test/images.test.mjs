@@ -0,0 +1,103 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+
+import sharp from "sharp";
+
+import {
+	createImageProcessor,
+	localizeThumbnails,
+	pruneImages,
+	referencedImageNames,
+} from "../scripts/lib/images.mjs";
+
+let dir;
+let png;
+let fetched;
+
+// Serves one 1000px image; anything else is a 404.
+const fetchImpl = async (url) => {
+	fetched.push(url);
+	return url.endsWith("/hero.png") ? new Response(png) : new Response("missing", { status: 404 });
+};
+
+before(async () => {
+	dir = await fs.mkdtemp(path.join(os.tmpdir(), "fr-images-"));
+	png = await sharp({ create: { width: 1000, height: 600, channels: 3, background: "#ef779f" } })
+		.png()
+		.toBuffer();
+});
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+const quiet = { warn: () => {} };
+
+describe("localizeThumbnails", () => {
+	it("writes hashed AVIF/WebP variants and srcsets, downloading each URL once", async () => {
+		fetched = [];
+		const processor = await createImageProcessor({ dir, fetchImpl });
+		const events = [
+			{ id: "a", thumbnail: "https://cdn.example.com/hero.png" },
+			{ id: "b", thumbnail: "https://cdn.example.com/hero.png" },
+			{ id: "c", thumbnail: "images/already-local.webp" },
+		];
+		const [a, b, c] = await localizeThumbnails(events, processor, { log: quiet });
+
+		assert.match(a.thumbnail, /^images\/[0-9a-f]{12}-640\.webp$/);
+		const hash = a.thumbnail.slice(7, 19);
+		assert.deepEqual(a.thumbnailSrcset, {
+			avif: `images/${hash}-320.avif 320w, images/${hash}-640.avif 640w`,
+			webp: `images/${hash}-320.webp 320w, images/${hash}-640.webp 640w`,
+		});
+		assert.equal(a.thumbnailSource, "https://cdn.example.com/hero.png");
+		assert.deepEqual(b, { ...a, id: "b" });
+		assert.equal(c, events[2]);
+		assert.equal(fetched.length, 1);
+
+		const meta = await sharp(path.join(dir, `${hash}-320.webp`)).metadata();
+		assert.equal(meta.format, "webp");
+		assert.equal(meta.width, 320);
+		assert.equal((await sharp(path.join(dir, `${hash}-640.avif`)).metadata()).width, 640);
+	});
+
+	it("uses the placeholder when a download fails", async () => {
+		fetched = [];
+		const processor = await createImageProcessor({ dir, fetchImpl });
+		const [e] = await localizeThumbnails([{ id: "x", thumbnail: "https://cdn.example.com/gone.jpg" }], processor, {
+			log: quiet,
+		});
+		assert.deepEqual(e, {
+			id: "x",
+			thumbnail: "images/placeholder.svg",
+			thumbnailSource: "https://cdn.example.com/gone.jpg",
+		});
+		await fs.access(path.join(dir, "placeholder.svg"));
+	});
+
+	it("never scales small images up", async () => {
+		const small = await sharp({ create: { width: 200, height: 100, channels: 3, background: "#36a8de" } })
+			.png()
+			.toBuffer();
+		const processor = await createImageProcessor({ dir, fetchImpl: async () => new Response(small) });
+		const [e] = await localizeThumbnails([{ id: "s", thumbnail: "https://cdn.example.com/small.png" }], processor);
+		assert.match(e.thumbnailSrcset.webp, /^images\/[0-9a-f]{12}-200\.webp 200w$/);
+	});
+});
+
+describe("pruneImages", () => {
+	it("removes variants no event references and keeps the placeholder", async () => {
+		const keep = { thumbnail: "images/keep-640.webp", thumbnailSrcset: { avif: "images/keep-320.avif 320w" } };
+		for (const name of ["keep-640.webp", "keep-320.avif", "old-640.webp"]) {
+			await fs.writeFile(path.join(dir, name), "");
+		}
+		const names = referencedImageNames([keep]);
+		assert.ok(names.has("keep-320.avif") && names.has("placeholder.svg"));
+
+		await pruneImages(dir, names);
+		const left = await fs.readdir(dir);
+		assert.ok(left.includes("keep-640.webp") && left.includes("placeholder.svg"));
+		assert.ok(!left.includes("old-640.webp"));
+	});
+});
@@ -0,0 +1,52 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { createLogger } from "../scripts/lib/logger.mjs";
+
+// Captures lines instead of printing them.
+function capture(options) {
+	const lines = [];
+	const logger = createLogger({ ...options, write: (stream, line) => lines.push({ stream, line }) });
+	return { logger, lines };
+}
+
+describe("createLogger", () => {
+	it("prints text lines with the tag, warnings to stderr", () => {
+		const { logger, lines } = capture();
+		const item = logger.child({ tag: "[2/5]", itemUrl: "https://example.com/items/1/" });
+		item.info("Fetching item", { durationMs: 12 });
+		item.warn("No availability found; skipping.");
+		assert.deepEqual(lines, [
+			{ stream: "stdout", line: "[2/5] Fetching item" },
+			{ stream: "stderr", line: "[2/5] No availability found; skipping." },
+		]);
+	});
+
+	it("writes one JSON object per line with the bound fields", () => {
+		const { logger, lines } = capture({ format: "json", now: () => new Date("2026-03-28T14:00:00Z") });
+		logger.child({ tag: "[1/1]" }).info("Done", { durationMs: 812, usedBrowser: true });
+		assert.deepEqual(JSON.parse(lines[0].line), {
+			time: "2026-03-28T14:00:00.000Z",
+			level: "info",
+			msg: "Done",
+			tag: "[1/1]",
+			durationMs: 812,
+			usedBrowser: true,
+		});
+	});
+
+	it("drops lines below the level but still counts warnings", () => {
+		const { logger, lines } = capture({ level: "error" });
+		logger.debug("detail");
+		logger.info("progress");
+		logger.child({ tag: "[1/2]" }).warn("Calendar fetch failed");
+		logger.error("Refusing to overwrite");
+		assert.deepEqual(lines.map((l) => l.line), ["Refusing to overwrite"]);
+		assert.deepEqual(logger.warnings, { count: 1, messages: ["[1/2] Calendar fetch failed"] });
+	});
+
+	it("rejects unknown formats and levels", () => {
+		assert.throws(() => createLogger({ format: "xml" }), /Unknown log format "xml"/);
+		assert.throws(() => createLogger({ level: "loud" }), /Unknown log level "loud"/);
+	});
+});
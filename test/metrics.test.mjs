@@ -0,0 +1,76 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { buildSyncMetrics, percentile } from "../scripts/lib/metrics.mjs";
+
+const run = (n, extra) => ({
+	itemUrl: `https://fareharbor.com/embeds/book/floridarama/items/${n}/`,
+	durationMs: n * 100,
+	events: 2,
+	adapter: "html",
+	usedBrowser: false,
+	fromCache: false,
+	failure: null,
+	...extra,
+});
+
+describe("percentile", () => {
+	it("picks the nearest rank", () => {
+		assert.equal(percentile([40, 10, 30, 20], 50), 20);
+		assert.equal(percentile([40, 10, 30, 20], 95), 40);
+		assert.equal(percentile([], 50), null);
+	});
+});
+
+describe("buildSyncMetrics", () => {
+	it("sums up items, fallbacks and timings", () => {
+		const metrics = buildSyncMetrics({
+			startedAt: new Date("2026-03-28T08:15:00Z"),
+			finishedAt: new Date("2026-03-28T08:17:30Z"),
+			outcome: "written",
+			dataSources: ["api", "html"],
+			listing: { discovered: 8, hidden: 1, browserSources: 0, existingSources: 1 },
+			itemRuns: [
+				run(1, { adapter: "api" }),
+				run(2, { usedBrowser: true }),
+				run(3, { adapter: "api", fromCache: true }),
+				run(4, { adapter: null, events: 0, failure: "blocked" }),
+				run(70, { adapter: null, events: 0, failure: "timeout" }),
+			],
+			events: { scraped: 6, written: 6, timeFallback: 1 },
+			report: { totals: { added: 2, removed: 1 } },
+			timings: { listingMs: 1234.4, itemsMs: 9876.6 },
+			warnings: { count: 3, messages: ["a", "b", "c"] },
+		});
+
+		assert.equal(metrics.durationMs, 150_000);
+		assert.deepEqual(metrics.items, {
+			discovered: 8,
+			hidden: 1,
+			scraped: 5,
+			parsed: 3,
+			fromCache: 1,
+			failed: 2,
+			failures: { blocked: 1, timeout: 1 },
+		});
+		assert.deepEqual(metrics.fallbacks, {
+			listingBrowser: 0,
+			listingFromExisting: 1,
+			itemBrowser: 1,
+			dataSource: 1,
+			timeFallbackEvents: 1,
+		});
+		assert.deepEqual(metrics.events, { scraped: 6, written: 6, added: 2, removed: 1 });
+		assert.equal(metrics.timings.listingMs, 1234);
+		assert.equal(metrics.timings.itemP50Ms, 300);
+		assert.equal(metrics.timings.itemMaxMs, 7000);
+		assert.equal(metrics.timings.slowest[0].durationMs, 7000);
+		assert.equal(metrics.timings.perItem.length, 5);
+		assert.deepEqual(metrics.timings.perItem[1], {
+			itemUrl: "https://fareharbor.com/embeds/book/floridarama/items/2/",
+			durationMs: 200,
+			usedBrowser: true,
+		});
+		assert.equal(metrics.warnings.count, 3);
+	});
+});
@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { applyOverrides, isHiddenItem, loadOverrides, manualEvents } from "../scripts/lib/overrides.mjs";
+
+const TZ = "America/New_York";
+const url = (item, availability) =>
+	`https://fareharbor.com/embeds/book/floridarama/items/${item}/availability/${availability}/book/`;
+const event = (item, availability, extra = {}) => ({
+	id: `fh-${item}-${availability}`,
+	title: "Sensory Saturdays",
+	start: "2026-03-28T10:00:00-04:00",
+	end: "2026-03-28T20:00:00-04:00",
+	url: url(item, availability),
+	...extra,
+});
+
+const OVERRIDES = {
+	hiddenItems: [222],
+	items: { 111: { title: "Sensory-Friendly Saturday", time: "9am - 11:30am" } },
+	availabilities: { 1002: { thumbnail: "https://example.com/special.jpg" }, 1003: { hidden: true } },
+	events: [
+		{ title: "Staff Training", start: "2026-04-01T09:00:00-04:00", end: "2026-04-01T12:00:00-04:00" },
+		{ start: "2026-04-02T09:00:00-04:00" },
+	],
+};
+
+describe("applyOverrides", () => {
+	it("hides items and single availabilities", () => {
+		const out = applyOverrides([event(111, 1001), event(222, 2001), event(111, 1003)], OVERRIDES, { timeZone: TZ });
+		assert.deepEqual(out.map((e) => e.id), ["fh-111-1001"]);
+	});
+
+	it("patches by item, then by availability", () => {
+		const [patched] = applyOverrides([event(111, 1002, { timeFallback: true })], OVERRIDES, { timeZone: TZ });
+		assert.equal(patched.title, "Sensory-Friendly Saturday");
+		assert.equal(patched.thumbnail, "https://example.com/special.jpg");
+		assert.equal(patched.start, "2026-03-28T09:00:00-04:00");
+		assert.equal(patched.end, "2026-03-28T11:30:00-04:00");
+		assert.equal(patched.timeFallback, undefined);
+	});
+
+	it("returns events unchanged without overrides", () => {
+		const events = [event(111, 1001)];
+		assert.equal(applyOverrides(events, null, { timeZone: TZ }), events);
+	});
+});
+
+describe("manualEvents", () => {
+	it("adds IDs and the manual source, skipping incomplete entries", () => {
+		const out = manualEvents(OVERRIDES);
+		assert.equal(out.length, 1);
+		assert.match(out[0].id, /^ev-[0-9a-f]{12}$/);
+		assert.equal(out[0].source, "manual");
+	});
+});
+
+describe("isHiddenItem", () => {
+	it("matches item IDs given as numbers or strings", () => {
+		assert.equal(isHiddenItem("https://fareharbor.com/embeds/book/floridarama/items/222/", OVERRIDES), true);
+		assert.equal(isHiddenItem("https://fareharbor.com/embeds/book/floridarama/items/111/", OVERRIDES), false);
+		assert.equal(isHiddenItem(url(222, 1), null), false);
+	});
+});
+
+describe("loadOverrides", () => {
+	it("loads the checked-in overrides.json", async () => {
+		const overrides = await loadOverrides(new URL("../overrides.json", import.meta.url));
+		assert.ok(Array.isArray(overrides.events));
+	});
+
+	it("returns null for a missing file", async () => {
+		assert.equal(await loadOverrides(new URL("./fixtures/missing.json", import.meta.url)), null);
+	});
+});
@@ -0,0 +1,140 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+
+import {
+	PAGES_INDEX_NAME,
+	buildEventJsonLd,
+	buildEventPage,
+	escapeHtml,
+	eventPageName,
+	formatEventWhen,
+	siteDomain,
+	writeEventPages,
+} from "../scripts/lib/pages.mjs";
+
+const TZ = "America/New_York";
+const site = {
+	name: "FloridaRAMA",
+	url: "https://example.github.io/calendar",
+	currency: "USD",
+	location: { name: "FloridaRAMA", address: { streetAddress: "", addressRegion: "FL", addressCountry: "US" } },
+};
+const event = {
+	id: "fh-639860-1770373768",
+	title: "Glow Night <18+>",
+	start: "2026-03-28T18:00:00-04:00",
+	end: "2026-03-28T20:00:00-04:00",
+	url: "https://fareharbor.com/embeds/book/floridarama/items/639860/availability/1770373768/book/?full-items=yes&flow=1",
+	source: "fareharbor",
+	thumbnail: "images/glow-640.webp",
+	description: "Blacklight games & music.",
+	prices: [
+		{ type: "Adult", min: 15, max: 15 },
+		{ type: "Child", min: 10, max: 10 },
+	],
+	spotsLeft: 3,
+};
+
+function jsonLdFrom(html) {
+	return JSON.parse(html.match(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/)[1]);
+}
+
+describe("buildEventJsonLd", () => {
+	it("describes the event, the venue and one offer per ticket type", () => {
+		const ld = buildEventJsonLd(event, {
+			site,
+			pageUrl: "https://example.com/e.html",
+			imageUrl: "https://example.com/i.webp",
+		});
+		assert.equal(ld["@type"], "Event");
+		assert.equal(ld.startDate, event.start);
+		assert.deepEqual(ld.location, {
+			"@type": "Place",
+			name: "FloridaRAMA",
+			address: { "@type": "PostalAddress", addressRegion: "FL", addressCountry: "US" },
+		});
+		assert.deepEqual(
+			ld.offers.map((o) => [o.name, o.price, o.priceCurrency, o.availability, o.url]),
+			[
+				["Adult", 15, "USD", "https://schema.org/LimitedAvailability", event.url],
+				["Child", 10, "USD", "https://schema.org/LimitedAvailability", event.url],
+			]
+		);
+	});
+
+	it("marks sold-out sessions and leaves out what it doesn't know", () => {
+		const ld = buildEventJsonLd({ ...event, soldOut: true, prices: [], description: "" }, { site: null });
+		assert.equal(ld.offers[0].availability, "https://schema.org/SoldOut");
+		assert.equal("price" in ld.offers[0], false);
+		assert.equal("description" in ld, false);
+		assert.equal("organizer" in ld, false);
+		assert.equal("image" in ld, false);
+	});
+});
+
+describe("buildEventPage", () => {
+	it("links the image and calendar relatively and uses absolute URLs for crawlers", () => {
+		const html = buildEventPage(event, { site, publicPath: "pages", timeZone: TZ });
+		assert.match(html, /<img src="\.\.\/images\/glow-640\.webp"/);
+		assert.match(html, /<a href="\.\.\/init\.html">Calendar<\/a>/);
+		assert.match(html, /<link rel="canonical" href="https:\/\/example\.github\.io\/calendar\/pages\/fh-639860-1770373768\.html" \/>/);
+		assert.match(html, /<meta property="og:image" content="https:\/\/example\.github\.io\/calendar\/images\/glow-640\.webp" \/>/);
+		assert.match(html, /<h1>Glow Night &lt;18\+&gt;<\/h1>/);
+		assert.match(html, /full-items=yes&amp;flow=1">Book now/);
+		assert.equal(jsonLdFrom(html).url, "https://example.github.io/calendar/pages/fh-639860-1770373768.html");
+	});
+
+	it("skips canonical URLs without a site URL and falls back to the original image", () => {
+		const html = buildEventPage(
+			{ ...event, thumbnailSource: "https://cdn.example.com/glow.jpg" },
+			{ site: { name: "FloridaRAMA" }, timeZone: TZ }
+		);
+		assert.doesNotMatch(html, /rel="canonical"/);
+		assert.match(html, /<meta property="og:image" content="https:\/\/cdn\.example\.com\/glow\.jpg" \/>/);
+	});
+
+	it("can't close its JSON-LD script early", () => {
+		const html = buildEventPage({ ...event, title: "</script><b>hi</b>" }, { site, timeZone: TZ });
+		assert.equal(jsonLdFrom(html).name, "</script><b>hi</b>");
+	});
+});
+
+describe("helpers", () => {
+	it("escapes HTML, names pages after event IDs and formats dates in park time", () => {
+		assert.equal(escapeHtml(`<a href="x">Tom's & Co</a>`), "&lt;a href=&quot;x&quot;&gt;Tom&#39;s &amp; Co&lt;/a&gt;");
+		assert.equal(eventPageName({ id: "ev-1a2b" }), "ev-1a2b.html");
+		assert.equal(eventPageName({ id: "../odd id" }), "-odd-id.html");
+		assert.equal(formatEventWhen(event.start, event.end, TZ), "Saturday, March 28, 2026 · 6:00 PM – 8:00 PM");
+	});
+
+	it("mints IDs under the site's own domain", () => {
+		assert.equal(siteDomain(site), "example.github.io");
+		assert.equal(siteDomain({ ...site, domain: "Events.FloridaRAMA.com" }), "events.floridarama.com");
+		assert.equal(siteDomain({ url: "not a url" }), null);
+		assert.equal(siteDomain(null), null);
+	});
+});
+
+describe("writeEventPages", () => {
+	let dir;
+	before(async () => {
+		dir = await fs.mkdtemp(path.join(os.tmpdir(), "pages-"));
+	});
+	after(async () => {
+		await fs.rm(dir, { recursive: true, force: true });
+	});
+
+	it("writes a page per event plus the list, and removes pages of events that are gone", async () => {
+		const other = { ...event, id: "ev-manual", title: "Members' Night" };
+		assert.equal(await writeEventPages(dir, [event, other], { site, timeZone: TZ }), 2);
+		const list = await fs.readFile(path.join(dir, PAGES_INDEX_NAME), "utf8");
+		assert.match(list, /<a href="fh-639860-1770373768\.html">Glow Night &lt;18\+&gt;<\/a>/);
+		assert.match(list, /<a href="ev-manual\.html">Members&#39; Night<\/a>/);
+
+		await writeEventPages(dir, [event], { site, timeZone: TZ });
+		assert.deepEqual((await fs.readdir(dir)).sort(), ["fh-639860-1770373768.html", PAGES_INDEX_NAME]);
+	});
+});
@@ -0,0 +1,109 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { buildSyncReport, diffEvents, formatReportMarkdown, formatReportText } from "../scripts/lib/report.mjs";
+
+const event = (id, title, start, end = start.replace("T10:", "T12:")) => ({
+	id,
+	title,
+	start,
+	end,
+	url: `https://fareharbor.com/embeds/book/floridarama/items/1/availability/${id}/book/`,
+});
+
+const BEFORE = [
+	event("fh-1-100", "Sensory Saturdays", "2026-03-28T10:00:00-04:00"),
+	event("fh-1-101", "Sensory Saturdays", "2026-04-04T10:00:00-04:00"),
+	event("fh-2-200", "Glow Night", "2026-04-10T10:00:00-04:00"),
+	event("fh-3-300", "Toddler Time", "2026-04-11T10:00:00-04:00"),
+];
+
+const AFTER = [
+	event("fh-1-100", "Sensory Saturdays", "2026-03-28T10:00:00-04:00"),
+	event("fh-1-101", "Sensory Saturdays", "2026-04-04T11:00:00-04:00", "2026-04-04T13:00:00-04:00"),
+	event("fh-2-200", "Glow Night Party", "2026-04-10T10:00:00-04:00"),
+	event("fh-4-400", "Field Trip Day", "2026-04-15T10:00:00-04:00"),
+];
+
+describe("diffEvents", () => {
+	it("sorts events into added, removed, rescheduled and retitled by ID", () => {
+		const diff = diffEvents(BEFORE, AFTER);
+		assert.deepEqual(diff.added.map((e) => e.id), ["fh-4-400"]);
+		assert.deepEqual(diff.removed.map((e) => e.id), ["fh-3-300"]);
+		assert.deepEqual(diff.rescheduled, [
+			{
+				id: "fh-1-101",
+				title: "Sensory Saturdays",
+				from: { start: "2026-04-04T10:00:00-04:00", end: "2026-04-04T12:00:00-04:00" },
+				to: { start: "2026-04-04T11:00:00-04:00", end: "2026-04-04T13:00:00-04:00" },
+			},
+		]);
+		assert.deepEqual(diff.retitled, [
+			{ id: "fh-2-200", start: "2026-04-10T10:00:00-04:00", from: "Glow Night", to: "Glow Night Party" },
+		]);
+		assert.equal(diff.unchanged, 1);
+	});
+
+	it("counts sessions that simply ended instead of listing them as removed", () => {
+		const diff = diffEvents(BEFORE, AFTER.slice(1), { todayYmd: "2026-03-29" });
+		assert.deepEqual(diff.removed.map((e) => e.id), ["fh-3-300"]);
+		assert.equal(diff.ended, 1);
+
+		const report = buildSyncReport(BEFORE, AFTER.slice(1), { todayYmd: "2026-03-29" });
+		assert.match(formatReportText(report), /1 retitled, 1 ended \(4 → 3 events\)\./);
+	});
+
+	it("treats a missing previous file as all added", () => {
+		const diff = diffEvents([], AFTER);
+		assert.equal(diff.added.length, AFTER.length);
+		assert.equal(diff.removed.length, 0);
+	});
+});
+
+describe("buildSyncReport", () => {
+	const report = buildSyncReport(BEFORE, AFTER, { generatedAt: new Date("2026-03-20T08:15:00Z") });
+
+	it("counts each kind of change", () => {
+		assert.equal(report.generatedAt, "2026-03-20T08:15:00.000Z");
+		assert.deepEqual(report.totals, {
+			before: 4,
+			after: 4,
+			added: 1,
+			removed: 1,
+			rescheduled: 1,
+			retitled: 1,
+			unchanged: 1,
+			ended: 0,
+		});
+	});
+
+	it("formats text and Markdown in the park's time zone", () => {
+		const text = formatReportText(report, { timeZone: "America/New_York" });
+		assert.match(text, /^Changes: 1 added, 1 removed, 1 rescheduled, 1 retitled \(4 → 4 events\)\./);
+		assert.match(text, /\+ Wed, Apr 15, 10:00 AM {2}Field Trip Day/);
+		assert.match(text, /~ Sensory Saturdays: Sat, Apr 4, 10:00 AM → Sat, Apr 4, 11:00 AM/);
+
+		const md = formatReportMarkdown(report, { timeZone: "America/New_York" });
+		assert.match(md, /\*\*Added \(1\)\*\*/);
+		assert.match(md, /- Wed, Apr 15, 10:00 AM — \[Field Trip Day\]\(https:\/\/fareharbor\.com\/.+\/fh-4-400\/book\/\)/);
+		assert.match(md, /"Glow Night" → "Glow Night Party"/);
+		assert.ok(!/^#/m.test(md));
+	});
+
+	it("counts failed items by type", () => {
+		const failures = [
+			{ itemUrl: "https://fareharbor.com/embeds/book/floridarama/items/2/", type: "blocked", message: "HTTP 403" },
+			{ itemUrl: "https://fareharbor.com/embeds/book/floridarama/items/3/", type: "blocked", message: "HTTP 429" },
+			{ itemUrl: "https://fareharbor.com/embeds/book/floridarama/items/4/", type: "timeout", message: "Item timed out" },
+		];
+		const withItems = buildSyncReport(BEFORE, AFTER, { itemCount: 10, failures });
+		assert.deepEqual(withItems.items.byType, { blocked: 2, timeout: 1 });
+		assert.equal(withItems.items.failed, 3);
+		assert.match(formatReportText(withItems), /Items: 10 item\(s\) checked, 3 failed \(2 blocked, 1 timeout\)\./);
+
+		const md = formatReportMarkdown(withItems);
+		assert.match(md, /\*\*Failed items \(3\)\*\*/);
+		assert.match(md, /- timeout — https:\/\/fareharbor\.com\/.+\/items\/4\/ \(Item timed out\)/);
+		assert.equal(report.items, undefined);
+	});
+});
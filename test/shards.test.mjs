@@ -0,0 +1,81 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+
+import { SHARD_INDEX_NAME, buildShardIndex, eventMonths, shardEvents, writeShards } from "../scripts/lib/shards.mjs";
+
+const march = { id: "a", title: "Sensory Saturday", start: "2026-03-28T10:00:00-04:00", end: "2026-03-28T12:00:00-04:00" };
+const overnight = { id: "b", title: "Lock-in", start: "2026-03-31T20:00:00-04:00", end: "2026-04-01T08:00:00-04:00" };
+const april = { id: "c", title: "Members' Night", start: "2026-04-10T18:00:00-04:00", end: "2026-04-10T21:00:00-04:00" };
+
+describe("eventMonths", () => {
+	it("lists every month from start to end", () => {
+		assert.deepEqual(eventMonths(march), ["2026-03"]);
+		assert.deepEqual(eventMonths(overnight), ["2026-03", "2026-04"]);
+		assert.deepEqual(eventMonths({ start: "2026-11-30T10:00:00-05:00", end: "2027-01-02T10:00:00-05:00" }), [
+			"2026-11",
+			"2026-12",
+			"2027-01",
+		]);
+		assert.deepEqual(eventMonths({ start: "2026-03-28T10:00:00-04:00" }), ["2026-03"]);
+		assert.deepEqual(eventMonths({ title: "No date" }), []);
+	});
+});
+
+describe("shardEvents", () => {
+	it("groups events by month in month order, repeating ones that span two", () => {
+		const shards = shardEvents([april, march, overnight]);
+		assert.deepEqual([...shards.keys()], ["2026-03", "2026-04"]);
+		assert.deepEqual(shards.get("2026-03").map((e) => e.id), ["a", "b"]);
+		assert.deepEqual(shards.get("2026-04").map((e) => e.id), ["c", "b"]);
+	});
+});
+
+describe("buildShardIndex", () => {
+	it("changes a month's hash only when its events change", () => {
+		const before = buildShardIndex(shardEvents([march, april]));
+		const after = buildShardIndex(shardEvents([march, { ...april, title: "Members' Evening" }]));
+		assert.equal(before.months["2026-03"].file, "events/2026-03.json");
+		assert.equal(before.months["2026-03"].count, 1);
+		assert.match(before.months["2026-03"].hash, /^[0-9a-f]{12}$/);
+		assert.equal(after.months["2026-03"].hash, before.months["2026-03"].hash);
+		assert.notEqual(after.months["2026-04"].hash, before.months["2026-04"].hash);
+	});
+
+	it("uses the given public path", () => {
+		const index = buildShardIndex(shardEvents([march]), { publicPath: "data/months" });
+		assert.equal(index.months["2026-03"].file, "data/months/2026-03.json");
+	});
+});
+
+describe("writeShards", () => {
+	let dir;
+	before(async () => {
+		dir = await fs.mkdtemp(path.join(os.tmpdir(), "shards-"));
+	});
+	after(async () => {
+		await fs.rm(dir, { recursive: true, force: true });
+	});
+
+	it("writes one file per month and the index", async () => {
+		const index = await writeShards(dir, [march, april]);
+		assert.deepEqual((await fs.readdir(dir)).sort(), ["2026-03.json", "2026-04.json", SHARD_INDEX_NAME]);
+		assert.deepEqual(JSON.parse(await fs.readFile(path.join(dir, "2026-03.json"), "utf8")), [march]);
+		assert.deepEqual(JSON.parse(await fs.readFile(path.join(dir, SHARD_INDEX_NAME), "utf8")), index);
+	});
+
+	it("leaves unchanged months alone and deletes months with no events", async () => {
+		const marchFile = path.join(dir, "2026-03.json");
+		const old = new Date("2020-01-01T00:00:00Z");
+		await fs.utimes(marchFile, old, old);
+		await fs.writeFile(path.join(dir, "notes.json"), "{}\n");
+
+		const index = await writeShards(dir, [march]);
+		assert.deepEqual(Object.keys(index.months), ["2026-03"]);
+		assert.equal((await fs.stat(marchFile)).mtime.getTime(), old.getTime());
+		// Only month files are cleaned up.
+		assert.deepEqual((await fs.readdir(dir)).sort(), ["2026-03.json", SHARD_INDEX_NAME, "notes.json"]);
+	});
+});
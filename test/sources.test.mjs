@@ -0,0 +1,124 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+
+import {
+	assignItemsToSources,
+	eventForSource,
+	eventsForSource,
+	isSourceEvent,
+	itemUrlForSource,
+	listingUrlForSource,
+	loadSources,
+} from "../scripts/lib/sources.mjs";
+
+const ENV = { company: "floridarama", flow: "1438415" };
+const fixture = (name) => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+const sources = await loadSources(fixture("sources.json"), ENV);
+const [publicEvents, parties, trips] = sources;
+
+describe("loadSources", () => {
+	it("reads sources with defaults for id, label and file", () => {
+		assert.deepEqual(
+			sources.map((s) => s.id),
+			["public", "parties", "floridarama-trips-77"]
+		);
+		assert.equal(trips.label, "floridarama-trips-77");
+		assert.equal(parties.category, "party");
+		assert.equal(parties.file, fileURLToPath(new URL("./out/parties.json", import.meta.url)));
+		assert.equal(publicEvents.file, null);
+	});
+
+	it("falls back to one source from the environment", async () => {
+		assert.deepEqual(await loadSources(fixture("missing.json"), ENV), [
+			{ id: "default", label: "Events", company: "floridarama", flow: "1438415", category: null, file: null },
+		]);
+	});
+
+	it("reports a sources file that is not JSON", async () => {
+		await assert.rejects(loadSources(fixture("calendar-month.html"), ENV), /Could not read/);
+	});
+});
+
+describe("source URLs", () => {
+	it("builds listing and item URLs for the source's flow", () => {
+		assert.equal(
+			listingUrlForSource(parties),
+			"https://fareharbor.com/embeds/book/floridarama/items/?flow=1500001&full-items=yes"
+		);
+		assert.equal(
+			itemUrlForSource(trips, 42),
+			"https://fareharbor.com/embeds/book/floridarama-trips/items/42/?full-items=yes&flow=77"
+		);
+	});
+});
+
+describe("assignItemsToSources", () => {
+	it("scrapes an item listed by several flows once, for the first source", () => {
+		const { items, duplicates } = assignItemsToSources([
+			{ source: publicEvents, itemUrls: [itemUrlForSource(publicEvents, 1), itemUrlForSource(publicEvents, 2)] },
+			{ source: parties, itemUrls: [itemUrlForSource(parties, 2), itemUrlForSource(parties, 3)] },
+			{ source: trips, itemUrls: [itemUrlForSource(trips, 2)] },
+		]);
+		assert.equal(duplicates, 1);
+		assert.deepEqual(
+			items.map(({ itemUrl, source }) => [source.id, itemUrl.match(/items\/(\d+)/)[1]]),
+			[
+				["public", "1"],
+				["public", "2"],
+				["parties", "3"],
+				["floridarama-trips-77", "2"],
+			]
+		);
+		assert.deepEqual(items[1].sources.map((s) => s.id), ["public", "parties"]);
+	});
+});
+
+describe("items shared between sources", () => {
+	const { items } = assignItemsToSources([
+		{ source: publicEvents, itemUrls: [itemUrlForSource(publicEvents, 2)] },
+		{ source: parties, itemUrls: [itemUrlForSource(parties, 2)] },
+	]);
+	const sourceIds = items[0].sources.map((s) => s.id);
+	const shared = {
+		id: "fh-2-9",
+		url: "https://fareharbor.com/embeds/book/floridarama/items/2/availability/9/book/?full-items=yes&flow=1438415",
+		sourceId: "public",
+		sourceIds,
+	};
+
+	it("go to every owning source's file", () => {
+		assert.deepEqual(eventsForSource([shared], publicEvents, sources).map((e) => e.id), ["fh-2-9"]);
+		assert.deepEqual(eventsForSource([shared], parties, sources).map((e) => e.id), ["fh-2-9"]);
+		assert.deepEqual(eventsForSource([shared], trips, sources), []);
+	});
+
+	it("book through each source's own flow", () => {
+		assert.equal(eventForSource(shared, publicEvents), shared);
+		assert.equal(
+			eventForSource(shared, parties).url,
+			"https://fareharbor.com/embeds/book/floridarama/items/2/availability/9/book/?full-items=yes&flow=1500001"
+		);
+		assert.equal(eventForSource({ id: "manual" }, parties).url, undefined);
+	});
+});
+
+describe("eventsForSource", () => {
+	const url = (company, item) => `https://fareharbor.com/embeds/book/${company}/items/${item}/availability/9/book/`;
+	const events = [
+		{ id: "a", url: url("floridarama", 1) },
+		{ id: "b", url: url("floridarama", 3), sourceId: "parties" },
+		{ id: "c", url: url("floridarama-trips", 2), sourceId: "floridarama-trips-77" },
+		{ id: "d", title: "Staff night" },
+	];
+
+	it("matches by sourceId, giving untagged FareHarbor events to the first source", () => {
+		assert.deepEqual(eventsForSource(events, publicEvents, sources).map((e) => e.id), ["a"]);
+		assert.deepEqual(eventsForSource(events, parties, sources).map((e) => e.id), ["b"]);
+		assert.deepEqual(eventsForSource(events, trips, sources).map((e) => e.id), ["c"]);
+	});
+
+	it("recognizes events from any configured company", () => {
+		assert.deepEqual(events.filter((e) => isSourceEvent(e, sources)).map((e) => e.id), ["a", "b", "c"]);
+	});
+});
@@ -0,0 +1,111 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+
+import {
+	SYNC_CACHE_VERSION,
+	createSyncCache,
+	emptySyncCache,
+	hashText,
+	loadSyncCache,
+	saveSyncCache,
+} from "../scripts/lib/sync-cache.mjs";
+
+const PAGE = "https://fareharbor.com/embeds/book/floridarama/items/639860/";
+
+// Answers 304 when the validator matches, like a server with ETags.
+function fakeServer(pages) {
+	const requests = [];
+	const fetchImpl = async (url, { headers }) => {
+		requests.push({ url, headers });
+		const page = pages[url];
+		if (!page) return new Response("missing", { status: 404 });
+		if (headers["if-none-match"] === page.etag) return new Response(null, { status: 304 });
+		return new Response(page.body, { headers: { etag: page.etag } });
+	};
+	return { fetchImpl, requests };
+}
+
+let dir;
+before(async () => {
+	dir = await fs.mkdtemp(path.join(os.tmpdir(), "fr-sync-cache-"));
+});
+after(async () => {
+	await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe("createSyncCache fetchPage", () => {
+	it("sends stored validators and keeps the hash on 304", async () => {
+		const server = fakeServer({ [PAGE]: { etag: '"v1"', body: "<h1>Glow Night</h1>" } });
+		const first = createSyncCache(emptySyncCache(), { fetchImpl: server.fetchImpl, headers: { accept: "text/html" } });
+		const fresh = await first.fetchPage(PAGE);
+		assert.equal(fresh.body, "<h1>Glow Night</h1>");
+		assert.equal(fresh.hash, hashText("<h1>Glow Night</h1>"));
+		assert.equal(server.requests[0].headers["if-none-match"], undefined);
+
+		const second = createSyncCache(first.snapshot(), { fetchImpl: server.fetchImpl });
+		const cached = await second.fetchPage(PAGE);
+		assert.deepEqual(cached, { body: null, hash: fresh.hash });
+		assert.equal(server.requests[1].headers["if-none-match"], '"v1"');
+
+		// The body of an unchanged page is still there when it has to be parsed.
+		const full = await second.fetchPage(PAGE, { revalidate: false });
+		assert.equal(full.body, "<h1>Glow Night</h1>");
+		assert.equal(server.requests[2].headers["if-none-match"], undefined);
+	});
+
+	it("throws on HTTP errors", async () => {
+		const cache = createSyncCache(emptySyncCache(), { fetchImpl: fakeServer({}).fetchImpl });
+		await assert.rejects(cache.fetchPage(PAGE), /HTTP 404/);
+	});
+});
+
+describe("createSyncCache item events", () => {
+	it("reuses events only for the same page hashes", () => {
+		const cache = createSyncCache();
+		const events = [{ id: "fh-639860-1", title: "Glow Night", start: "2026-11-07T18:00:00" }];
+		cache.saveItemEvents(PAGE, { [PAGE]: "aaa", [`${PAGE}calendar/2026/11/`]: "bbb" }, events);
+
+		assert.deepEqual(cache.itemEvents(PAGE, { [PAGE]: "aaa", [`${PAGE}calendar/2026/11/`]: "bbb" }), events);
+		assert.equal(cache.itemEvents(PAGE, { [PAGE]: "aaa", [`${PAGE}calendar/2026/11/`]: "ccc" }), null);
+		assert.equal(cache.itemEvents(PAGE, { [PAGE]: "aaa" }), null);
+		// A page that failed to load has no hash and never matches.
+		assert.equal(cache.itemEvents(PAGE, { [PAGE]: "aaa", [`${PAGE}calendar/2026/11/`]: null }), null);
+
+		cache.forgetItem(PAGE);
+		assert.equal(cache.itemEvents(PAGE, { [PAGE]: "aaa", [`${PAGE}calendar/2026/11/`]: "bbb" }), null);
+	});
+
+	it("drops unlisted items and pages nothing refers to from the snapshot", () => {
+		const cache = createSyncCache({
+			version: SYNC_CACHE_VERSION,
+			pages: { [PAGE]: { hash: "aaa" }, "https://example.com/gone/": { hash: "zzz" } },
+			items: {
+				[PAGE]: { pages: { [PAGE]: "aaa" }, events: [] },
+				"https://example.com/gone/": { pages: { "https://example.com/gone/": "zzz" }, events: [] },
+			},
+		});
+		const snapshot = cache.snapshot({ itemUrls: [PAGE] });
+		assert.deepEqual(Object.keys(snapshot.items), [PAGE]);
+		assert.deepEqual(Object.keys(snapshot.pages), [PAGE]);
+	});
+});
+
+describe("loadSyncCache / saveSyncCache", () => {
+	it("round-trips through the file", async () => {
+		const file = path.join(dir, ".sync-cache.json");
+		const data = { version: SYNC_CACHE_VERSION, pages: { [PAGE]: { etag: '"v1"', hash: "aaa" } }, items: {} };
+		await saveSyncCache(file, data);
+		assert.deepEqual(await loadSyncCache(file), data);
+	});
+
+	it("starts empty without a file or with an older version", async () => {
+		assert.deepEqual(await loadSyncCache(path.join(dir, "missing.json")), emptySyncCache());
+
+		const file = path.join(dir, "old.json");
+		await fs.writeFile(file, JSON.stringify({ version: 0, pages: { [PAGE]: {} } }));
+		assert.deepEqual(await loadSyncCache(file), emptySyncCache());
+	});
+});
@@ -0,0 +1,161 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { describe, it } from "node:test";
+
+import { htmlToText } from "../scripts/lib/html.mjs";
+import {
+	addDaysToYmd,
+	instantToIsoInZone,
+	monthsBetweenYmd,
+	parseDateLabelToYmd,
+	parseEventTimeRange,
+	parseStartTimeAndDuration,
+	timeRangeForAvailability,
+	timeRangeToIsoPair,
+	ymdAndTimeToIsoInZone,
+} from "../scripts/lib/time.mjs";
+
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+
+const range = (sh, sm, sap, eh, em, eap) => ({
+	start: { h: sh, m: sm, ap: sap },
+	end: { h: eh, m: em, ap: eap },
+});
+
+describe("parseDateLabelToYmd", () => {
+	it("parses FareHarbor date labels with or without a weekday", () => {
+		assert.equal(parseDateLabelToYmd("Saturday, January 31, 2026"), "2026-01-31");
+		assert.equal(parseDateLabelToYmd("March 7, 2026"), "2026-03-07");
+	});
+
+	it("falls back to an ISO date from a calendar cell", () => {
+		assert.equal(parseDateLabelToYmd("10:00am 2026-04-04"), "2026-04-04");
+	});
+
+	it("rejects unknown months and junk", () => {
+		assert.equal(parseDateLabelToYmd("Smarch 3, 2026"), null);
+		assert.equal(parseDateLabelToYmd("Book now"), null);
+	});
+});
+
+describe("parseEventTimeRange", () => {
+	it("reads the range from an item page", () => {
+		assert.deepEqual(parseEventTimeRange(htmlToText(fixture("item-static.html"))), range(10, 0, "AM", 12, 30, "PM"));
+	});
+
+	it("handles Noon and Midnight", () => {
+		assert.deepEqual(parseEventTimeRange("Noon - 4pm"), range(12, 0, "PM", 4, 0, "PM"));
+		assert.deepEqual(parseEventTimeRange("Midnight to 2am"), range(12, 0, "AM", 2, 0, "AM"));
+	});
+
+	it("borrows a missing AM/PM without running backwards", () => {
+		assert.deepEqual(parseEventTimeRange("12–2pm"), range(12, 0, "PM", 2, 0, "PM"));
+		assert.deepEqual(parseEventTimeRange("11-1pm"), range(11, 0, "AM", 1, 0, "PM"));
+		assert.deepEqual(parseEventTimeRange("7 - 9 p.m."), range(7, 0, "PM", 9, 0, "PM"));
+	});
+
+	it("keeps half hours", () => {
+		assert.deepEqual(parseEventTimeRange("Hours: 9:30 AM — 11:30 AM"), range(9, 30, "AM", 11, 30, "AM"));
+	});
+
+	it("takes the first of multiple ranges", () => {
+		assert.deepEqual(parseEventTimeRange("10am-12pm and 2pm-4pm"), range(10, 0, "AM", 12, 0, "PM"));
+	});
+
+	it("gives up when neither side has AM/PM", () => {
+		assert.equal(parseEventTimeRange("Ages 3-12"), null);
+		assert.equal(parseEventTimeRange(""), null);
+	});
+});
+
+describe("parseStartTimeAndDuration", () => {
+	it("adds fractional hours to the start time", () => {
+		const tr = parseStartTimeAndDuration(htmlToText(fixture("item-edge-cases.html")));
+		assert.deepEqual(tr, { ...range(6, 30, "PM", 11, 0, "PM"), endDayOffset: 0 });
+	});
+
+	it("rolls past midnight", () => {
+		assert.deepEqual(parseStartTimeAndDuration("9:00 PM, 4 Hours"), { ...range(9, 0, "PM", 1, 0, "AM"), endDayOffset: 1 });
+	});
+
+	it("handles noon starts and minutes", () => {
+		assert.deepEqual(parseStartTimeAndDuration("Starts at noon. 90 Minutes"), {
+			...range(12, 0, "PM", 1, 30, "PM"),
+			endDayOffset: 0,
+		});
+	});
+
+	it("needs a duration", () => {
+		assert.equal(parseStartTimeAndDuration("Starts at 6 PM"), null);
+	});
+});
+
+describe("timeRangeForAvailability", () => {
+	const itemTr = range(10, 0, "AM", 12, 0, "PM");
+
+	it("prefers the session's own range", () => {
+		assert.deepEqual(timeRangeForAvailability("April 4, 2026 1pm - 3pm", itemTr), range(1, 0, "PM", 3, 0, "PM"));
+	});
+
+	it("moves the item's duration to the session's start time", () => {
+		assert.deepEqual(timeRangeForAvailability("April 4, 2026 1:30 PM", itemTr), {
+			...range(1, 30, "PM", 3, 30, "PM"),
+			endDayOffset: 0,
+		});
+	});
+
+	it("falls back to the item's range", () => {
+		assert.deepEqual(timeRangeForAvailability("April 4, 2026", itemTr), itemTr);
+	});
+});
+
+describe("ymdAndTimeToIsoInZone", () => {
+	it("writes DST-correct offsets", () => {
+		assert.equal(ymdAndTimeToIsoInZone("2026-01-10", 23, 30, "America/New_York"), "2026-01-10T23:30:00-05:00");
+		assert.equal(ymdAndTimeToIsoInZone("2026-03-28", 10, 0, "America/New_York"), "2026-03-28T10:00:00-04:00");
+		assert.equal(ymdAndTimeToIsoInZone("2026-06-01", 9, 0, "Asia/Kolkata"), "2026-06-01T09:00:00+05:30");
+	});
+});
+
+describe("instantToIsoInZone", () => {
+	it("moves API timestamps onto the park's clock", () => {
+		assert.equal(instantToIsoInZone("2026-03-28T10:00:00.000-0400", "America/New_York"), "2026-03-28T10:00:00-04:00");
+		assert.equal(instantToIsoInZone("2026-03-28T14:00:00Z", "America/New_York"), "2026-03-28T10:00:00-04:00");
+		assert.equal(instantToIsoInZone("not a date", "America/New_York"), null);
+	});
+
+	it("keeps the right offset in the hour repeated when DST ends", () => {
+		assert.equal(instantToIsoInZone("2026-11-01T05:30:00Z", "America/New_York"), "2026-11-01T01:30:00-04:00");
+		assert.equal(instantToIsoInZone("2026-11-01T06:30:00Z", "America/New_York"), "2026-11-01T01:30:00-05:00");
+	});
+});
+
+describe("timeRangeToIsoPair", () => {
+	it("moves overnight ends to the next day", () => {
+		assert.deepEqual(timeRangeToIsoPair("2026-12-31", range(9, 0, "PM", 1, 0, "AM"), "America/New_York"), {
+			start: "2026-12-31T21:00:00-05:00",
+			end: "2027-01-01T01:00:00-05:00",
+		});
+	});
+
+	it("uses the 10am-8pm placeholder without a range", () => {
+		assert.deepEqual(timeRangeToIsoPair("2026-05-01", null, "America/New_York"), {
+			start: "2026-05-01T10:00:00-04:00",
+			end: "2026-05-01T20:00:00-04:00",
+		});
+	});
+});
+
+describe("date helpers", () => {
+	it("adds days across month and year ends", () => {
+		assert.equal(addDaysToYmd("2026-12-30", 3), "2027-01-02");
+	});
+
+	it("lists every month a range touches", () => {
+		assert.deepEqual(monthsBetweenYmd("2026-11-15", "2027-01-02"), [
+			{ year: 2026, month: 11 },
+			{ year: 2026, month: 12 },
+			{ year: 2027, month: 1 },
+		]);
+	});
+});
@@ -0,0 +1,68 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { describe, it } from "node:test";
+
+import { applyTranslations, loadTranslations } from "../scripts/lib/translations.mjs";
+
+const quiet = { warn: () => {} };
+
+const session = (itemId, availabilityId) => ({
+	id: `fh-${itemId}-${availabilityId}`,
+	title: "Sensory Saturdays",
+	start: "2026-03-28T10:00:00-04:00",
+	url: `https://fareharbor.com/embeds/book/floridarama/items/${itemId}/availability/${availabilityId}/book/`,
+	source: "fareharbor",
+});
+
+describe("applyTranslations", () => {
+	it("adds an item's translations to every one of its sessions", () => {
+		const es = { title: " Sábados Sensoriales ", description: "Horario tranquilo." };
+		const translations = { items: { 639860: { es } } };
+		const out = applyTranslations([session(639860, 1), session(639860, 2), session(700000, 3)], translations);
+		assert.deepEqual(out[0].translations, { es: { title: "Sábados Sensoriales", description: "Horario tranquilo." } });
+		assert.deepEqual(out[1].translations, out[0].translations);
+		assert.equal("translations" in out[2], false);
+	});
+
+	it("drops empty fields, unknown fields and bad language codes, warning once per item", () => {
+		const warnings = [];
+		const translations = {
+			items: {
+				639860: {
+					es: { title: "", description: "Solo la descripción.", subtitle: "?" },
+					spanish: { title: "Sábados" },
+					fr: { title: "   " },
+				},
+			},
+		};
+		const out = applyTranslations([session(639860, 1), session(639860, 2)], translations, {
+			log: { warn: (msg) => warnings.push(msg) },
+		});
+		assert.deepEqual(out[0].translations, { es: { description: "Solo la descripción." } });
+		assert.equal(warnings.length, 1);
+		assert.match(warnings[0], /"spanish" for item 639860/);
+	});
+
+	it("leaves events alone without a translations file", () => {
+		const events = [session(639860, 1)];
+		assert.equal(applyTranslations(events, null), events);
+	});
+});
+
+describe("loadTranslations", () => {
+	it("returns null for a missing or malformed file", async () => {
+		const dir = await fs.mkdtemp(path.join(os.tmpdir(), "translations-"));
+		try {
+			assert.equal(await loadTranslations(path.join(dir, "missing.json"), { log: quiet }), null);
+			const file = path.join(dir, "translations.json");
+			await fs.writeFile(file, JSON.stringify({ es: {} }));
+			assert.equal(await loadTranslations(file, { log: quiet }), null);
+			await fs.writeFile(file, JSON.stringify({ items: {} }));
+			assert.deepEqual(await loadTranslations(file, { log: quiet }), { items: {} });
+		} finally {
+			await fs.rm(dir, { recursive: true, force: true });
+		}
+	});
+});
@@ -0,0 +1,126 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+
+import {
+	checkThresholds,
+	dropUnknownFields,
+	loadSchema,
+	validateAgainstSchema,
+	validateEvents,
+} from "../scripts/lib/validate.mjs";
+
+const schema = await loadSchema(fileURLToPath(new URL("../events.schema.json", import.meta.url)));
+
+const event = (n, extra = {}) => ({
+	id: `fh-1-${n}`,
+	title: "Sensory Saturdays",
+	start: "2026-03-28T10:00:00-04:00",
+	end: "2026-03-28T12:00:00-04:00",
+	url: `https://fareharbor.com/embeds/book/floridarama/items/1/availability/${n}/book/`,
+	source: "fareharbor",
+	...extra,
+});
+
+describe("validateEvents", () => {
+	it("accepts the checked-in events.json", () => {
+		const events = JSON.parse(fs.readFileSync(new URL("../events.json", import.meta.url), "utf8"));
+		assert.deepEqual(validateEvents(events, schema), []);
+	});
+
+	it("reports missing fields, bad values and unknown keys with a path", () => {
+		const errors = validateEvents(
+			[
+				event(1, { url: "javascript:alert(1)" }),
+				{ id: "fh-1-2", title: "", start: "March 28" },
+				event(3, { prices: [{ type: "Child", min: -1, max: 15 }], colour: "red" }),
+			],
+			schema
+		);
+		assert.ok(errors.some((e) => e.startsWith("$[0].url:")));
+		assert.ok(errors.includes('$[1]: missing "source"'));
+		assert.ok(errors.includes("$[1].title: must not be empty"));
+		assert.ok(errors.some((e) => e.startsWith("$[1].start:")));
+		assert.ok(errors.includes("$[2].prices[0].min: must be at least 0"));
+		assert.ok(errors.includes('$[2]: unexpected "colour"'));
+	});
+
+	it("catches duplicate IDs and events that end before they start", () => {
+		const errors = validateEvents([event(1), event(1, { end: "2026-03-28T09:00:00-04:00" })], schema);
+		assert.ok(errors.includes('$[1]: duplicate id "fh-1-1"'));
+		assert.ok(errors.some((e) => e.startsWith("$[1]: ends (")));
+	});
+
+	it("checks every entry of a keyed object like translations", () => {
+		const ok = event(1, { translations: { es: { title: "Sábados Sensoriales", description: "" } } });
+		assert.deepEqual(validateEvents([ok], schema), []);
+		const errors = validateEvents([event(2, { translations: { es: { title: "", subtitle: "x" } } })], schema);
+		assert.ok(errors.includes("$[0].translations.es.title: must not be empty"));
+		assert.ok(errors.includes('$[0].translations.es: unexpected "subtitle"'));
+	});
+
+	it("checks types", () => {
+		assert.deepEqual(validateAgainstSchema({}, schema), ["$: expected array, got object"]);
+		assert.deepEqual(validateAgainstSchema(1.5, { type: "integer" }), ["$: expected integer, got number"]);
+	});
+});
+
+describe("dropUnknownFields", () => {
+	it("drops fields the schema doesn't know, warning once per event", () => {
+		const warnings = [];
+		const manual = event(1, { source: "manual", colour: "red", note: "staff only" });
+		const [clean, same] = dropUnknownFields([manual, event(2)], schema, {
+			log: { warn: (msg) => warnings.push(msg) },
+			label: "manual event",
+		});
+		assert.deepEqual(clean, event(1, { source: "manual" }));
+		assert.deepEqual(validateEvents([clean, same], schema), []);
+		assert.deepEqual(warnings, ['Dropping unknown field(s) "colour", "note" from manual event "fh-1-1".']);
+	});
+});
+
+describe("checkThresholds", () => {
+	const limits = { maxDropRatio: 0.5, maxFallbackRatio: 0.25, maxUntitledRatio: 0.1 };
+	const base = { companies: ["floridarama"], todayYmd: "2026-03-01" };
+	const many = (n, extra) => Array.from({ length: n }, (_, i) => event(i, extra));
+
+	it("passes a normal run", () => {
+		const { problems } = checkThresholds({ ...base, previous: many(10), next: many(9), scraped: many(9) }, limits);
+		assert.deepEqual(problems, []);
+	});
+
+	it("flags a large drop but ignores sessions that already ended", () => {
+		const dropped = checkThresholds({ ...base, previous: many(10), next: many(2), scraped: many(2) }, limits);
+		assert.equal(dropped.stats.dropRatio, 0.8);
+		assert.match(dropped.problems[0], /dropped 80% \(10 → 2\)/);
+
+		const ended = checkThresholds(
+			{ ...base, todayYmd: "2026-04-01", previous: many(10), next: many(2), scraped: many(2) },
+			limits
+		);
+		assert.deepEqual(ended.problems, []);
+	});
+
+	it("flags fallback hours and untitled events", () => {
+		const scraped = [...many(6), ...many(2, { timeFallback: true }), ...many(2, { title: "Untitled Event" })];
+		const { problems } = checkThresholds({ ...base, previous: [], next: scraped, scraped }, limits);
+		assert.equal(problems.length, 1);
+		assert.match(problems[0], /20% of events are untitled/);
+
+		const fallback = [...many(6), ...many(4, { timeFallback: true })];
+		assert.match(
+			checkThresholds({ ...base, previous: [], next: fallback, scraped: fallback }, limits).problems[0],
+			/40% of events use fallback/
+		);
+	});
+
+	it("flags a high item failure rate", () => {
+		const withLimit = { ...limits, maxFailureRatio: 0.25 };
+		const run = (failed) =>
+			checkThresholds({ ...base, previous: [], next: many(5), scraped: many(5), items: { total: 8, failed } }, withLimit);
+		assert.deepEqual(run(2).problems, []);
+		assert.equal(run(3).stats.failureRatio, 0.375);
+		assert.match(run(3).problems[0], /38% of items failed \(3 of 8\); limit 25%/);
+	});
+});